@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+import { existsSync, readdirSync, statSync } from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import { ReplayMismatchError, loadAgentFixture, replayAgentFixture } from '../src/agentReplay.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURE_DIR = path.resolve(__dirname, '../fixtures/agent-runs');
+
+function printUsage() {
+  console.log(`Replay recorded agent turns offline and compare them with the recording.
+
+Usage:
+  node backend/scripts/replayAgentFixtures.js [fixture-or-directory ...] [options]
+
+Fixtures are recorded by starting the backend with AGENT_RECORD_DIR set.
+With no paths, every fixture in backend/fixtures/agent-runs is replayed.
+
+Options:
+  --verbose, -v          Print the expected and actual value of every difference
+  --help, -h             Show this help text
+`);
+}
+
+function collectFixtureFiles(targets) {
+  return targets.flatMap(target => {
+    const resolved = path.resolve(target);
+    if (!existsSync(resolved)) {
+      return [];
+    }
+    if (statSync(resolved).isDirectory()) {
+      return readdirSync(resolved)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(resolved, name));
+    }
+    return [resolved];
+  });
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv.includes('--help') || argv.includes('-h')) {
+    printUsage();
+    return;
+  }
+
+  const verbose = argv.includes('--verbose') || argv.includes('-v');
+  const targets = argv.filter(arg => !arg.startsWith('-'));
+  const files = collectFixtureFiles(targets.length > 0 ? targets : [DEFAULT_FIXTURE_DIR]);
+
+  // The committed fixtures are the regression suite, so finding none is a failure.
+  if (files.length === 0) {
+    console.error(`No agent fixtures found in ${targets.length > 0 ? targets.join(', ') : DEFAULT_FIXTURE_DIR}.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let failures = 0;
+
+  for (const file of files) {
+    const label = path.relative(process.cwd(), file);
+    try {
+      const { differences } = await replayAgentFixture(loadAgentFixture(file));
+      if (differences.length === 0) {
+        console.log(`✓ ${label}`);
+        continue;
+      }
+
+      failures += 1;
+      console.log(`✗ ${label}: ${differences.map(difference => difference.field).join(', ')} differ`);
+      if (verbose) {
+        differences.forEach(difference => {
+          console.log(`  ${difference.field}:`);
+          console.log(`    expected: ${JSON.stringify(difference.expected)}`);
+          console.log(`    actual:   ${JSON.stringify(difference.actual)}`);
+        });
+      }
+    } catch (error) {
+      failures += 1;
+      const kind = error instanceof ReplayMismatchError ? 'replay mismatch' : 'error';
+      console.log(`✗ ${label}: ${kind}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${files.length - failures}/${files.length} agent fixtures replayed cleanly.`);
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Agent replay failed:', error.message);
+  process.exit(1);
+});
@@ -1,21 +1,36 @@
-import { GoogleGenerativeAI, GoogleGenerativeAIFetchError } from '@google/generative-ai';
 import path from 'node:path';
-import axios from 'axios';
-import { getQueryRoutingSuggestion } from './queryRouter.js';
+import { formatRoutingHint, getQueryRoutingSuggestion } from './queryRouter.js';
 import { buildResponseFormatHint, validateResponseAgainstTemplate, getResponseSchema } from './responseSchema.js';
 import { MoodboardGenerator } from './moodboardGenerator.js';
 import { readFileSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
 import { fileURLToPath } from 'node:url';
-import { listWgsnReportsMetadata, searchWgsnReports } from './wgsn/wgsnSearch.js';
 import { buildWgsnEvidencePackage } from './wgsn/wgsnSnippetService.js';
+import { getMcpToolRegistry } from './mcpClient.js';
+import { createLlmProvider } from './llm/index.js';
+import { FORMAT_CORRECTION_BLOCK, compactHistory, estimateTokens } from './historyCompaction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const MOODBOARD_TRIGGER_KEYWORD = 'MOODBOARD_RA';
 const RA_INPUT_PATH = path.resolve(__dirname, '../config/mock_ra_input.json');
-const MCP_SERVER_URL = 'http://localhost:3002';
-const RATE_LIMIT_DELAY_MS = 60000;
+const CANCELLED_TURN_TEXT = 'Cancelled by the user before the answer was finished.';
+// Fallbacks for providers that carry no limits of their own (see config/llm.json).
+const DEFAULT_TURN_LIMITS = {
+  maxToolRounds: 10,
+  turnTimeoutSeconds: 240,
+  turnTokenBudget: 400000,
+  maxParallelToolCalls: 4
+};
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 5,
+  initialDelaySeconds: 2,
+  maxDelaySeconds: 60,
+  backoffMultiplier: 2,
+  jitterRatio: 0.25,
+  deadlineSeconds: 180
+};
 const WGSN_RELEVANT_QUERY_TYPES = new Set([
   'trend_discovery_exploration',
   'attribute_product_deep_dive',
@@ -47,146 +62,6 @@ const WGSN_KEYWORDS = [
   'fashion'
 ];
 
-const tools = [
-  {
-    name: 'get_available_tables',
-    description: 'Lists all available tables that can be queried. Use this to discover what data is available.',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    }
-  },
-  {
-    name: 'get_schema_for_table',
-    description: 'Gets the schema for a specific table. Use this to understand the structure of a table before querying it.',
-    parameters: {
-      type: 'object',
-      properties: {
-        dataset: {
-          type: 'string',
-          description: 'The dataset of the table'
-        },
-        table: {
-          type: 'string',
-          description: 'The name of the table'
-        }
-      },
-      required: ['dataset', 'table']
-    }
-  },
-  {
-    name: 'run_query',
-    description: 'Executes a SQL query against BigQuery and returns the results. Use this to answer questions about the data.',
-    parameters: {
-      type: 'object',
-      properties: {
-        sqlQuery: {
-          type: 'string',
-          description: 'The SQL query to execute'
-        }
-      },
-      required: ['sqlQuery']
-    }
-  },
-  {
-    name: 'forecast',
-    description: 'Creates a time series forecast using BigQuery ML ARIMA_PLUS model. Use this when asked to predict or forecast future trends based on historical time series data.',
-    parameters: {
-      type: 'object',
-      properties: {
-        datasetId: {
-          type: 'string',
-          description: 'The ID of the dataset containing the table with time series data'
-        },
-        tableId: {
-          type: 'string',
-          description: 'The ID of the table with time series data'
-        },
-        dateColumn: {
-          type: 'string',
-          description: 'The name of the column containing timestamp/date values'
-        },
-        valueColumn: {
-          type: 'string',
-          description: 'The name of the column containing the values to forecast'
-        },
-        horizonDays: {
-          type: 'number',
-          description: 'Number of days to forecast into the future (default: 30)'
-        }
-      },
-      required: ['datasetId', 'tableId', 'dateColumn', 'valueColumn']
-    }
-  },
-  {
-    name: 'list_wgsn_reports',
-    description: 'Lists ingested WGSN PDF reports with their tags and coverage metadata. Use this to understand what qualitative sources are available.',
-    parameters: {
-      type: 'object',
-      properties: {},
-      required: []
-    }
-  },
-  {
-    name: 'search_wgsn_reports',
-    description: 'Searches ingested WGSN PDF reports for relevant paragraphs. Use this alongside BigQuery tables whenever a query involves trends, attributes, or qualitative insights.',
-    parameters: {
-      type: 'object',
-      properties: {
-        query: {
-          type: 'string',
-          description: 'Natural language description of the trend, attribute, or question you need to research.'
-        },
-        limit: {
-          type: 'number',
-          description: 'Maximum snippets to return (default 5, max 10).'
-        },
-        tags: {
-          type: 'array',
-          description: 'Optional list of tags or categories to filter WGSN reports by.',
-          items: {
-            type: 'string'
-          }
-        }
-      },
-      required: ['query']
-    }
-  }
-];
-
-function formatRoutingHint(suggestion) {
-  if (!suggestion) {
-    return '';
-  }
-
-  const confidence = typeof suggestion.confidence === 'number' ? suggestion.confidence : 0;
-  const lines = [];
-
-  if (suggestion.queryType) {
-    lines.push(`Query type match: ${suggestion.queryType}`);
-  } else {
-    lines.push('Query type match: none');
-  }
-
-  lines.push(`Routing confidence: ${confidence.toFixed(2)}`);
-
-  if (suggestion.tables && suggestion.tables.length > 0) {
-    lines.push('Recommended tables (in priority order):');
-    for (const table of suggestion.tables) {
-      const priorityText = table.priority !== null && table.priority !== undefined ? `priority ${table.priority}` : 'default priority';
-      const reasonText = table.reason ? ` - ${table.reason}` : '';
-      lines.push(`- ${table.dataset}.${table.table} (${priorityText})${reasonText}`);
-    }
-  }
-
-  if (suggestion.fallbackApplied) {
-    lines.push(`Fallback applied (${suggestion.fallbackBehavior?.action || 'unspecified action'})`);
-  }
-
-  return lines.join('\n');
-}
-
 function extractWhereConditions(sqlQuery) {
   if (typeof sqlQuery !== 'string') {
     return [];
@@ -301,7 +176,7 @@ function buildNoResultGuidance(sqlQuery, routingSuggestion) {
   }
 
   if (guidance.recommendedActions.length === 0) {
-    guidance.message = 'Query returned no results. Consider rephrasing your question or exploring the available tables with `get_available_tables`.';
+    guidance.message = 'Query returned no results. Consider rephrasing your question or exploring the available tables with `list_tables`.';
   }
 
   return guidance;
@@ -320,6 +195,42 @@ function needsWgsnContext(userMessage, routingSuggestion) {
   return WGSN_KEYWORDS.some(keyword => normalized.includes(keyword));
 }
 
+function describeToolError(error) {
+  // MCP tool errors carry the server's explanation (e.g. a rejected SQL statement) as the message.
+  return error?.message || String(error);
+}
+
+function buildSkippedToolResponse(functionCall, limitReached) {
+  return {
+    functionResponse: {
+      name: functionCall.name,
+      response: {
+        error: `Not executed. ${limitReached.message} Do not call any more tools: answer now from the data ` +
+          'already collected and say which parts of the question could not be checked.'
+      }
+    }
+  };
+}
+
+// Runs `worker` over `items` with at most `concurrency` in flight (0 means no
+// limit) and returns results in input order. Items are started in order, so
+// recorded tool calls stay replayable.
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const workerCount = concurrency > 0 ? Math.min(concurrency, items.length) : items.length;
+  let nextIndex = 0;
+
+  await Promise.all(Array.from({ length: workerCount }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(items[index], index);
+    }
+  }));
+
+  return results;
+}
+
 function cloneHistoryEntries(history) {
   if (!Array.isArray(history)) {
     return [];
@@ -327,41 +238,128 @@ function cloneHistoryEntries(history) {
   return JSON.parse(JSON.stringify(history));
 }
 
-// Agent orchestrates Gemini conversations and MCP tool usage.
+export class TurnCancelledError extends Error {
+  constructor(toolCalls = []) {
+    super(CANCELLED_TURN_TEXT);
+    this.name = 'TurnCancelledError';
+    this.code = 'TURN_CANCELLED';
+    this.toolCalls = toolCalls;
+  }
+}
+
+// Thrown once a model is still rate limited after its retry policy (and any
+// fallback model) has run out.
+export class RateLimitExhaustedError extends Error {
+  constructor(message, { provider, attempts, reason }) {
+    super(message);
+    this.name = 'RateLimitExhaustedError';
+    this.code = 'RATE_LIMIT_EXHAUSTED';
+    this.provider = provider;
+    this.attempts = attempts;
+    this.reason = reason;
+  }
+}
+
+// Agent orchestrates LLM conversations and MCP tool usage. The provider comes
+// from config/llm.json (see llm/index.js); history is kept in Gemini content format.
 export class Agent {
-  constructor(apiKey, streamCallback = null) {
+  constructor(llmProvider = createLlmProvider(), streamCallback = null, toolRegistry = getMcpToolRegistry()) {
     this.conversationHistory = [];
+    this.toolRegistry = toolRegistry;
     this.routingHistory = [];
-    this.genAI = new GoogleGenerativeAI(apiKey || process.env.GEMINI_API_KEY);
+    this.llmProvider = llmProvider;
     this.moodboardGenerator = new MoodboardGenerator();
     this.pendingMoodboard = null;
+    this.turnSignal = null;
+    this.cancellationTag = null;
+    this.turnToolCalls = [];
+    this.turnModel = null;
+    this.turnFallback = null;
     this.streamCallback = streamCallback;
     // Convenience flag indicating whether streaming is enabled.
     this.isStreaming = !!this.streamCallback;
+  }
 
-    const initialPrompt = `You are a BigQuery specialist and a data analyst.
-Your goal is to help users answer questions by writing and executing SQL queries against a BigQuery database.
+  startTurnBudget() {
+    return {
+      limits: { ...DEFAULT_TURN_LIMITS, ...(this.llmProvider.limits || {}) },
+      startedAt: Date.now(),
+      toolRounds: 0,
+      tokensUsed: 0,
+      tokensEstimated: false,
+      limitReached: null
+    };
+  }
 
-You have a set of tools to discover tables, view their schemas, and run queries.
+  recordModelUsage(budget, response) {
+    if (response?.usage) {
+      budget.tokensUsed += response.usage.totalTokens;
+      return;
+    }
+    budget.tokensUsed += estimateTokens(this.conversationHistory) + estimateTokens(response?.parts || []);
+    budget.tokensEstimated = true;
+  }
+
+  // Limits are checked between model calls and tool rounds, so a single slow
+  // query can overrun the time budget but never starts after it has expired.
+  findExceededTurnLimit(budget, { checkToolRounds = true } = {}) {
+    const { maxToolRounds, turnTimeoutSeconds, turnTokenBudget } = budget.limits;
+
+    if (checkToolRounds && maxToolRounds > 0 && budget.toolRounds >= maxToolRounds) {
+      return { reason: 'max_tool_rounds', message: `Reached the limit of ${maxToolRounds} tool rounds for this turn.` };
+    }
+    if (turnTimeoutSeconds > 0 && Date.now() - budget.startedAt >= turnTimeoutSeconds * 1000) {
+      return { reason: 'turn_timeout', message: `Reached the ${turnTimeoutSeconds}s time budget for this turn.` };
+    }
+    if (turnTokenBudget > 0 && budget.tokensUsed >= turnTokenBudget) {
+      return {
+        reason: 'token_budget',
+        message: `Used ${budget.tokensUsed} of the ${turnTokenBudget} token budget for this turn.`
+      };
+    }
+    return null;
+  }
 
-Key principles:
-- Explore before you query: Use 'get_available_tables' and 'get_schema_for_table' to understand the data landscape before writing complex queries.
-- Iterate and refine: If a query returns no results, don't give up. Systematically relax filters, try alternative tables, and use the guidance provided to find the data.
-- Be proactive: When appropriate, suggest follow-up checks, alternate tables, or additional columns that might help locate relevant data.
-- Be precise: Pay close attention to column names, table names, and formatting.
-- Provide reasoning: When proposing SQL, briefly explain why you chose that approach and what you'd change if results are empty.
+  summarizeTurnBudget(budget) {
+    return {
+      limits: budget.limits,
+      toolRounds: budget.toolRounds,
+      elapsedMs: Date.now() - budget.startedAt,
+      tokensUsed: budget.tokensUsed,
+      tokensEstimated: budget.tokensEstimated,
+      limitReached: budget.limitReached
+    };
+  }
 
-Always strive to return a final answer to the user, even if it takes several steps.`;
+  // Resolves after `ms`, or rejects as soon as the turn is cancelled.
+  delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new TurnCancelledError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
 
-    this.model = this.genAI.getGenerativeModel({
-      model: 'gemini-2.5-flash',
-      tools: { functionDeclarations: tools },
-      systemInstruction: initialPrompt,
+  // Reads matching WGSN report pages from disk; replay swaps this out.
+  loadWgsnEvidence(userMessage) {
+    return buildWgsnEvidencePackage(userMessage, {
+      searchLimit: 6,
+      maxReports: 2,
+      maxChunksPerReport: 2,
+      maxPagesPerReport: 4
     });
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  throwIfCancelled() {
+    if (this.turnSignal?.aborted) {
+      throw new TurnCancelledError();
+    }
   }
 
   isRateLimitError(error) {
@@ -369,10 +367,6 @@ Always strive to return a final answer to the user, even if it takes several ste
       return false;
     }
 
-    if (error instanceof GoogleGenerativeAIFetchError && Number(error.status) === 429) {
-      return true;
-    }
-
     const status = Number(error.status ?? error.response?.status);
     if (!Number.isNaN(status) && status === 429) {
       return true;
@@ -430,7 +424,8 @@ Always strive to return a final answer to the user, even if it takes several ste
     return null;
   }
 
-  getRateLimitDelayMs(error) {
+  // The provider's own retry hint (RetryInfo or Retry-After), if it sent one.
+  getServerRetryDelayMs(error) {
     const detailSources = [
       Array.isArray(error?.errorDetails) ? error.errorDetails : null,
       Array.isArray(error?.response?.errorDetails) ? error.response.errorDetails : null,
@@ -441,7 +436,7 @@ Always strive to return a final answer to the user, even if it takes several ste
       for (const detail of details) {
         const parsed = this.parseRetryDelayValue(detail?.retryDelay ?? detail);
         if (parsed) {
-          return Math.max(parsed, RATE_LIMIT_DELAY_MS);
+          return parsed;
         }
       }
     }
@@ -453,40 +448,126 @@ Always strive to return a final answer to the user, even if it takes several ste
     if (messageMatch) {
       const seconds = parseFloat(messageMatch[1]);
       if (!Number.isNaN(seconds)) {
-        return Math.max(seconds * 1000, RATE_LIMIT_DELAY_MS);
+        return seconds * 1000;
       }
     }
 
-    return RATE_LIMIT_DELAY_MS;
+    return null;
   }
 
-  async runWithRateLimitRetry(action, context = 'Gemini request') {
-    // Keep retrying indefinitely until quota is available again.
-    for (;;) {
+  // Exponential backoff with jitter, but never sooner than the provider asked for.
+  getRetryDelayMs(error, attempt, policy) {
+    const backoffMs = Math.min(
+      policy.initialDelaySeconds * 1000 * policy.backoffMultiplier ** (attempt - 1),
+      policy.maxDelaySeconds * 1000
+    );
+    const jitterMs = backoffMs * policy.jitterRatio * Math.random();
+    return Math.max(this.getServerRetryDelayMs(error) ?? 0, Math.round(backoffMs + jitterMs));
+  }
+
+  // maxAttempts counts the first try; 0 disables either check.
+  findExhaustedRetry(policy, attempt, startedAt, delayMs) {
+    const { maxAttempts, deadlineSeconds } = policy;
+
+    if (maxAttempts > 0 && attempt >= maxAttempts) {
+      return { reason: 'max_attempts', message: `still rate limited after ${attempt} attempts` };
+    }
+    if (deadlineSeconds > 0 && Date.now() - startedAt + delayMs > deadlineSeconds * 1000) {
+      return { reason: 'deadline', message: `still rate limited and the next retry would pass the ${deadlineSeconds}s retry deadline` };
+    }
+    return null;
+  }
+
+  emitRateLimit(payload) {
+    if (this.streamCallback) {
+      this.streamCallback({ type: 'rate_limit', payload });
+    }
+  }
+
+  // Each model for the turn gets its own session. A fallback session starts
+  // from the history before the message being retried, which every call site
+  // has already appended to conversationHistory.
+  startTurnModel(provider, functionDeclarations) {
+    this.turnModel = {
+      provider,
+      functionDeclarations,
+      session: provider.startChat({
+        history: this.conversationHistory.slice(0, -1),
+        functionDeclarations
+      })
+    };
+  }
+
+  async retryRateLimitedCall(action, context) {
+    const { provider, session } = this.turnModel;
+    const policy = { ...DEFAULT_RETRY_POLICY, ...(provider.retryPolicy || {}) };
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt += 1) {
+      this.throwIfCancelled();
       try {
-        return await action();
+        return await action(session);
       } catch (error) {
-        if (!this.isRateLimitError(error)) {
+        if (this.turnSignal?.aborted || !this.isRateLimitError(error)) {
           throw error;
         }
 
-        const delayMs = this.getRateLimitDelayMs(error);
-        const delaySeconds = (delayMs / 1000).toFixed(1);
-        console.warn(`[Agent] Gemini rate limit hit during ${context}. Retrying in ${delaySeconds}s.`);
-
-        // Send rate limit notification to frontend
-        if (this.streamCallback) {
-          this.streamCallback({
-            type: 'rate_limit',
-            payload: {
-              retryIn: parseFloat(delaySeconds),
-              message: `Rate limit hit. Retrying in ${delaySeconds}s...`
-            }
+        const delayMs = this.getRetryDelayMs(error, attempt, policy);
+        const exhausted = this.findExhaustedRetry(policy, attempt, startedAt, delayMs);
+        if (exhausted) {
+          throw new RateLimitExhaustedError(`${provider.label} is ${exhausted.message}.`, {
+            provider: provider.name,
+            attempts: attempt,
+            reason: exhausted.reason
           });
         }
 
-        await this.delay(delayMs);
+        const delaySeconds = (delayMs / 1000).toFixed(1);
+        console.warn(`[Agent] ${provider.label} rate limit hit during ${context}. Retrying in ${delaySeconds}s (attempt ${attempt + 1}).`);
+        this.emitRateLimit({
+          retryIn: parseFloat(delaySeconds),
+          attempt: attempt + 1,
+          maxAttempts: policy.maxAttempts || null,
+          model: provider.label,
+          message: `Rate limit hit. Retrying in ${delaySeconds}s...`
+        });
+
+        await this.delay(delayMs, this.turnSignal);
+      }
+    }
+  }
+
+  // Runs a model call on the turn's current model. When the primary model's
+  // retries run out the rest of the turn moves to its fallback, if any.
+  async runWithRateLimitRetry(action, context = 'model request') {
+    try {
+      return await this.retryRateLimitedCall(action, context);
+    } catch (error) {
+      if (!(error instanceof RateLimitExhaustedError)) {
+        throw error;
       }
+
+      const { provider, functionDeclarations } = this.turnModel;
+      const fallback = provider.fallback;
+      if (!fallback) {
+        this.emitRateLimit({ retryIn: null, exhausted: true, model: provider.label, message: error.message });
+        throw error;
+      }
+
+      console.warn(`[Agent] ${error.message} Switching to ${fallback.label}.`);
+      this.turnFallback = {
+        from: { name: provider.name, label: provider.label },
+        to: { name: fallback.name, label: fallback.label },
+        reason: error.reason
+      };
+      this.emitRateLimit({
+        retryIn: null,
+        fallback: fallback.label,
+        model: provider.label,
+        message: `${error.message} Switching to ${fallback.label}.`
+      });
+      this.startTurnModel(fallback, functionDeclarations);
+      return this.runWithRateLimitRetry(action, context);
     }
   }
 
@@ -714,14 +795,9 @@ Always strive to return a final answer to the user, even if it takes several ste
   aggregateParts(existingParts, newParts) {
     for (const newPart of newParts) {
       if (newPart.functionCall) {
-        const existing = existingParts.find(p => p.functionCall && p.functionCall.name === newPart.functionCall.name);
-        if (existing) {
-          // This is a simplified aggregation. A more robust implementation might be needed
-          // depending on how the API streams function call arguments.
-          Object.assign(existing.functionCall.args, newPart.functionCall.args);
-        } else {
-          existingParts.push(newPart);
-        }
+        // Function calls arrive whole, and several may target the same tool
+        // (e.g. one get_table_schema per table), so each is kept separately.
+        existingParts.push(newPart);
       } else if (newPart.text) {
         const existingText = existingParts.find(p => p.text);
         if (existingText) {
@@ -734,64 +810,63 @@ Always strive to return a final answer to the user, even if it takes several ste
     return existingParts;
   }
 
-  async executeToolCall(toolName, args = {}) {
-    switch (toolName) {
-      case 'get_available_tables': {
-        const response = await axios.get(`${MCP_SERVER_URL}/tables`);
-        return response.data;
-      }
-      case 'get_schema_for_table': {
-        const response = await axios.get(`${MCP_SERVER_URL}/tables/${args.dataset}/${args.table}/schema`);
-        return response.data;
-      }
-      case 'run_query': {
-        const response = await axios.post(`${MCP_SERVER_URL}/query`, { query: args.sqlQuery });
-        return response.data;
-      }
-      case 'forecast': {
-        const response = await axios.post(`${MCP_SERVER_URL}/forecast`, args);
-        return response.data;
-      }
-      case 'list_wgsn_reports': {
-        const reports = await listWgsnReportsMetadata();
-        return {
-          totalReports: reports.length,
-          reports
-        };
+  // Tools are discovered from the configured MCP servers; see mcpClient.js.
+  // A run_query that returns no rows comes back with guidance on loosening
+  // the SQL or trying the other tables the routing suggested.
+  async executeToolCall(toolName, args = {}, routingSuggestion = null) {
+    const result = await this.toolRegistry.callTool(toolName, args, {
+      signal: this.turnSignal,
+      cancellationTag: this.cancellationTag
+    });
+
+    if (toolName === 'run_query' && !args.pageToken && Array.isArray(result?.rows) && result.rows.length === 0) {
+      return { ...result, guidance: buildNoResultGuidance(args.query, routingSuggestion) };
+    }
+    return result;
+  }
+
+  // Runs one function call and never throws: failures become an error
+  // function response so sibling calls in the same round still complete.
+  async runToolCall(functionCall, routingSuggestion) {
+    const startedAt = Date.now();
+    const toolCall = {
+      id: randomUUID(),
+      name: functionCall.name,
+      args: functionCall.args,
+      result: null,
+      error: null
+    };
+    this.turnToolCalls.push(toolCall);
+    let response;
+
+    try {
+      const result = await this.executeToolCall(functionCall.name, functionCall.args, routingSuggestion);
+      toolCall.result = result;
+      if (result?.statistics) {
+        toolCall.statistics = result.statistics;
       }
-      case 'search_wgsn_reports': {
-        if (!args?.query || typeof args.query !== 'string') {
-          throw new Error('search_wgsn_reports requires a "query" string.');
+      response = { result };
+    } catch (error) {
+      toolCall.error = describeToolError(error);
+      response = { error: toolCall.error };
+    }
+
+    const finishedAt = Date.now();
+    toolCall.timing = {
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationMs: finishedAt - startedAt
+    };
+
+    return {
+      toolCall,
+      functionResponse: {
+        functionResponse: {
+          name: functionCall.name,
+          response
         }
-        const limit = Math.min(Math.max(args.limit ?? 5, 1), 10);
-        const results = await searchWgsnReports(args.query, {
-          limit,
-          tags: args.tags
-        });
-        return {
-          query: args.query,
-          limit,
-          totalResults: results.length,
-          results: results.map(result => ({
-            reportId: result.reportId,
-            reportTitle: result.reportTitle,
-            chunkId: result.chunkId,
-            startPage: result.startPage,
-            endPage: result.endPage,
-            score: Number(result.score.toFixed(3)),
-            text: result.text,
-            tags: result.tags,
-            topics: result.topics,
-            highlights: result.highlights,
-            summary: result.reportSummary,
-            ingestedAt: result.ingestedAt,
-            sourcePath: result.sourcePath
-          }))
-        };
       }
-      default:
-        throw new Error(`Unknown tool: ${toolName}`);
-    }
+    };
   }
 
   async prepareMoodboardContext(userMessage) {
@@ -857,8 +932,49 @@ Always strive to return a final answer to the user, even if it takes several ste
     };
   }
 
-  async chat(userMessage) {
+  // `signal` cancels the turn: the model stream and rate-limit waits abort,
+  // no further tools run, and MCP servers are asked to stop work tagged with
+  // `cancellationTag`. A cancelled turn rejects with TurnCancelledError.
+  async chat(userMessage, { signal = null, cancellationTag = null } = {}) {
+    this.turnSignal = signal;
+    this.cancellationTag = cancellationTag;
+    this.turnToolCalls = [];
+    this.turnFallback = null;
+
+    try {
+      return await this.runTurn(userMessage);
+    } catch (error) {
+      if (signal?.aborted) {
+        this.closeUnfinishedTurnHistory(CANCELLED_TURN_TEXT);
+        throw new TurnCancelledError(this.turnToolCalls);
+      }
+      if (error instanceof RateLimitExhaustedError) {
+        this.closeUnfinishedTurnHistory(error.message);
+      }
+      throw error;
+    } finally {
+      this.turnSignal = null;
+      this.cancellationTag = null;
+      this.pendingMoodboard = null;
+      this.turnModel = null;
+    }
+  }
+
+  // Drops an unanswered function call and closes the turn with a model entry
+  // so the stored history stays valid for the next turn.
+  closeUnfinishedTurnHistory(text) {
+    const last = this.conversationHistory[this.conversationHistory.length - 1];
+    if (last?.role === 'model' && last.parts?.some(part => part.functionCall)) {
+      this.conversationHistory.pop();
+    }
+    if (this.conversationHistory[this.conversationHistory.length - 1]?.role !== 'model') {
+      this.conversationHistory.push({ role: 'model', parts: [{ text }] });
+    }
+  }
+
+  async runTurn(userMessage) {
     this.pendingMoodboard = null;
+    this.compactConversationHistory();
 
     const moodboardPreparation = await this.prepareMoodboardContext(userMessage);
 
@@ -890,12 +1006,7 @@ Always strive to return a final answer to the user, even if it takes several ste
 
     if (wgsnHintNeeded) {
       try {
-        wgsnEvidence = await buildWgsnEvidencePackage(userMessage, {
-          searchLimit: 6,
-          maxReports: 2,
-          maxChunksPerReport: 2,
-          maxPagesPerReport: 4
-        });
+        wgsnEvidence = await this.loadWgsnEvidence(userMessage);
       } catch (error) {
         console.warn('Failed to prepare WGSN evidence:', error.message);
       }
@@ -946,50 +1057,14 @@ Always strive to return a final answer to the user, even if it takes several ste
       routingSuggestion
     });
 
-    const model = this.genAI.getGenerativeModel({
-      model: 'gemini-2.5-flash',
-      tools: [{
-        functionDeclarations: tools.map(tool => ({
-          name: tool.name,
-          description: tool.description,
-          parameters: tool.parameters
-        }))
-      }],
-      systemInstruction: `You are a helpful assistant that helps users explore and query their Google BigQuery data as well as the ingested WGSN PDF trend reports.
-
-When a user asks a question:
-1. First, understand what data they're asking about.
-1. Next, use 'get_available_tables' to see what data is available.
-2. Next, use 'get_schema_for_table' on the most relevant table(s) to understand their structure.
-3. Then, smartly construct the accurate query that retrieves the required data to answer the user's question.
-4. Execute the query using the 'run_query' tool.
-5. If a query returns zero rows or incomplete coverage, iteratively adjust the SQL—loosen filters, try alternate attribute spellings, or switch to other recommended tables—before concluding no data exists.
-6. Cross reference, link, and process between multiple relevant tables to fetch and synthesize the required information.
-7. Whenever the question touches trends, attributes, lifecycle, styling, or brand positioning, also call 'search_wgsn_reports' (and 'list_wgsn_reports' if you need metadata) to gather qualitative insights, then cite the report title and page range.
-8. Process all the information and present results in a clear, conversational way.
-
-Always explain what you're doing and why.
-
-RESPONSE FORMAT RULES:
-1. Always respond in Markdown using the exact template provided in the [RESPONSE_FORMAT] hint.
-2. Restate the user's query in the dedicated section before providing findings.
-3. Preserve all headings, table columns, emojis, and bullet formatting shown in the template.
-4. Populate tables with the most relevant data available; if data is missing, look up other tables where the data can be found from and link with that table. State "No data" only if you have exhausted all options.
-5. Provide hashtags for similar trends in the end. Bundle the similar trends into a collection and give that collection a name.
-6. Pair every trend/attribute/lifecycle insight with at least one WGSN citation (report title + page range) or explicitly state that no relevant WGSN snippet was found after searching.
-7. After the main sections, include the concluding footnote specified in the template.
-8. Do not output JSON, code fences, or alternative layouts unless explicitly asked.
-9. If no [RESPONSE_FORMAT] hint is supplied, use the default "📌 Data Insights Summary" template from the shared guidelines.`
-    });
+    await this.toolRegistry.ensureConnected();
+    const functionDeclarations = this.toolRegistry.getFunctionDeclarations();
 
-
-    const chat = model.startChat({
-      history: this.conversationHistory.slice(0, -1)
-    });
+    this.startTurnModel(this.llmProvider, functionDeclarations);
 
     const MAX_FORMAT_RETRIES = 1;
+    const budget = this.startTurnBudget();
     let attempt = 0;
-    let pendingMessage = combinedMessage;
     let pendingParts = userPartsForSend;
     let finalText = '';
     let aggregatedToolCalls = [];
@@ -997,18 +1072,18 @@ RESPONSE FORMAT RULES:
 
     while (attempt <= MAX_FORMAT_RETRIES) {
       const streamResult = await this.runWithRateLimitRetry(
-        () => chat.sendMessageStream(pendingParts || [{ text: pendingMessage }]),
-        'streaming Gemini response'
+        session => session.sendMessageStream(pendingParts, { signal: this.turnSignal }),
+        'streaming model response'
       );
-      const iterator = streamResult?.stream ?? streamResult;
+      const iterator = streamResult?.stream;
       if (!iterator || typeof iterator[Symbol.asyncIterator] !== 'function') {
-        throw new Error('Gemini streaming interface did not provide an async iterator.');
+        throw new Error(`${this.turnModel.provider.label} streaming interface did not provide an async iterator.`);
       }
 
-      let response = null;
       let streamedParts = [];
 
       for await (const chunk of iterator) {
+        this.throwIfCancelled();
         if (this.streamCallback) {
           this.streamCallback(chunk);
         }
@@ -1017,73 +1092,47 @@ RESPONSE FORMAT RULES:
         streamedParts = this.aggregateParts(streamedParts, parts);
       }
 
-      const resolved = await streamResult.response;
-      response = resolved?.response ? resolved : { response: resolved };
-
-      const candidate = response.response?.candidates?.[0] ?? null;
-      const finalParts = streamedParts.length > 0
-        ? streamedParts
-        : (candidate?.content?.parts ?? []);
-
-      if (candidate) {
-        candidate.content = candidate.content || {};
-        candidate.content.parts = finalParts;
-      } else {
-        response.response = response.response || {};
-        response.response.candidates = [
-          {
-            content: {
-              parts: finalParts
-            }
-          }
-        ];
-      }
-
+      const streamedTurn = await streamResult.response;
+      this.recordModelUsage(budget, streamedTurn);
+      let response = {
+        parts: streamedTurn.parts.length > 0 ? streamedTurn.parts : streamedParts
+      };
 
       const iterationToolCalls = [];
 
-      while (response.response.candidates[0].content.parts.some(part => part.functionCall)) {
-        const functionCalls = response.response.candidates[0].content.parts
+      while (response.parts.some(part => part.functionCall)) {
+        this.throwIfCancelled();
+        const functionCalls = response.parts
           .filter(part => part.functionCall)
           .map(part => part.functionCall);
 
-        const functionResponses = [];
-
-        for (const functionCall of functionCalls) {
-          const toolCall = {
-            name: functionCall.name,
-            args: functionCall.args,
-            result: null,
-            error: null
-          };
-
-          try {
-            const result = await this.executeToolCall(functionCall.name, functionCall.args, routingSuggestion);
-            toolCall.result = result;
-            
-            functionResponses.push({
-              functionResponse: {
-                name: functionCall.name,
-                response: { result }
-              }
-            });
-          } catch (error) {
-            toolCall.error = error.message;
-            
-            functionResponses.push({
-              functionResponse: {
-                name: functionCall.name,
-                response: { error: error.message }
-              }
-            });
-          }
+        if (budget.limitReached) {
+          // The model kept calling tools after being asked to wrap up; keep whatever text it produced.
+          break;
+        }
+
+        const exceededLimit = this.findExceededTurnLimit(budget);
+        let functionResponses;
 
-          iterationToolCalls.push(toolCall);
+        if (exceededLimit) {
+          budget.limitReached = exceededLimit;
+          console.warn(`[Agent] ${exceededLimit.message} Asking the model for a best-effort answer.`);
+          functionResponses = functionCalls.map(functionCall => buildSkippedToolResponse(functionCall, exceededLimit));
+        } else {
+          budget.toolRounds += 1;
+          const executed = await mapWithConcurrency(
+            functionCalls,
+            budget.limits.maxParallelToolCalls,
+            functionCall => this.runToolCall(functionCall, routingSuggestion)
+          );
+          this.throwIfCancelled();
+          executed.forEach(({ toolCall }) => iterationToolCalls.push(toolCall));
+          functionResponses = executed.map(({ functionResponse }) => functionResponse);
         }
 
         this.conversationHistory.push({
           role: 'model',
-          parts: response.response.candidates[0].content.parts
+          parts: response.parts
         });
 
         this.conversationHistory.push({
@@ -1093,12 +1142,21 @@ RESPONSE FORMAT RULES:
 
 
         response = await this.runWithRateLimitRetry(
-          () => chat.sendMessage(functionResponses),
-          'sending Gemini tool response payload'
+          session => session.sendMessage(functionResponses, { signal: this.turnSignal }),
+          'sending tool response payload'
         );
+        this.recordModelUsage(budget, response);
       }
 
-      finalText = response.response.text();
+      finalText = response.parts
+        .filter(part => typeof part.text === 'string')
+        .map(part => part.text)
+        .join('');
+
+      if (!finalText && budget.limitReached) {
+        finalText = `I had to stop before answering: ${budget.limitReached.message} ` +
+          'Please narrow the question or ask me to continue.';
+      }
 
       this.conversationHistory.push({
         role: 'model',
@@ -1120,7 +1178,12 @@ RESPONSE FORMAT RULES:
         break;
       }
 
-      if (attempt === MAX_FORMAT_RETRIES) {
+      // A correction round is another model call, so it is skipped once the turn is out of budget.
+      if (!budget.limitReached) {
+        budget.limitReached = this.findExceededTurnLimit(budget, { checkToolRounds: false });
+      }
+
+      if (attempt === MAX_FORMAT_RETRIES || budget.limitReached) {
         const missingList = validationResult.missingSections.join('; ');
         finalText = `${finalText}\n\nWARNING: Response did not match required template sections. Missing: ${missingList}`;
         break;
@@ -1129,9 +1192,11 @@ RESPONSE FORMAT RULES:
       attempt += 1;
 
       const correctionPrompt = [
+        `[${FORMAT_CORRECTION_BLOCK}]`,
         `Your previous response did not follow the required Markdown template for "${schemaConfig.query_type}".`,
         `Missing sections: ${validationResult.missingSections.join(', ')}`,
-        'Please resend the answer using the exact headings, tables, and bullet styles from the [RESPONSE_FORMAT] hint. Keep the template structure intact.'
+        'Please resend the answer using the exact headings, tables, and bullet styles from the [RESPONSE_FORMAT] hint. Keep the template structure intact.',
+        `[/${FORMAT_CORRECTION_BLOCK}]`
       ].join('\n');
 
       this.conversationHistory.push({
@@ -1139,7 +1204,6 @@ RESPONSE FORMAT RULES:
         parts: [{ text: correctionPrompt }]
       });
 
-      pendingMessage = correctionPrompt;
       pendingParts = [{ text: correctionPrompt }];
     }
 
@@ -1147,6 +1211,7 @@ RESPONSE FORMAT RULES:
     let payload = null;
 
     if (this.pendingMoodboard) {
+      this.throwIfCancelled();
       const trendRows = this.parseTrendMatrix(finalText);
       this.moodboardGenerator.applyTrendMatrix(
         this.pendingMoodboard.payload,
@@ -1179,11 +1244,24 @@ RESPONSE FORMAT RULES:
       toolCalls: aggregatedToolCalls,
       routingSuggestion,
       formatValidation: validationResult,
+      budget: this.summarizeTurnBudget(budget),
+      fallback: this.turnFallback,
       attachments,
       payload
     };
   }
 
+  // Earlier turns are compacted before each new turn, so the stored snapshot
+  // keeps the latest turn in full and everything before it within budget.
+  compactConversationHistory() {
+    const tokensBefore = estimateTokens(this.conversationHistory);
+    this.conversationHistory = compactHistory(this.conversationHistory, this.llmProvider.historyCompaction);
+    const tokensAfter = estimateTokens(this.conversationHistory);
+    if (tokensAfter < tokensBefore) {
+      console.log(`[Agent] Compacted conversation history from ~${tokensBefore} to ~${tokensAfter} tokens.`);
+    }
+  }
+
   loadConversationHistory(history) {
     this.conversationHistory = cloneHistoryEntries(history);
   }
@@ -0,0 +1,401 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { Agent } from './agent.js';
+
+export const AGENT_FIXTURE_VERSION = 1;
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function serializeError(error) {
+  return {
+    message: error?.message || String(error),
+    status: error?.status ?? null,
+    statusText: error?.statusText ?? null,
+    errorDetails: clone(error?.errorDetails) ?? null
+  };
+}
+
+function describeProvider(provider) {
+  return {
+    name: provider.name,
+    label: provider.label,
+    model: provider.model,
+    limits: clone(provider.limits) ?? null,
+    retryPolicy: clone(provider.retryPolicy) ?? null,
+    historyCompaction: clone(provider.historyCompaction) ?? null
+  };
+}
+
+function restoreError(recorded) {
+  const error = new Error(recorded.message);
+  ['status', 'statusText', 'errorDetails'].forEach(field => {
+    if (recorded[field] !== null && recorded[field] !== undefined) {
+      error[field] = recorded[field];
+    }
+  });
+  return error;
+}
+
+export class ReplayMismatchError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ReplayMismatchError';
+    this.details = details;
+  }
+}
+
+// Records every model request/stream and every MCP tool call an Agent makes,
+// in call order, into a fixture that ReplayHarness can serve back offline.
+export class RecordingHarness {
+  constructor({ llmProvider, toolRegistry }) {
+    this.innerProvider = llmProvider;
+    this.innerRegistry = toolRegistry;
+    this.fixture = {
+      version: AGENT_FIXTURE_VERSION,
+      recordedAt: new Date().toISOString(),
+      provider: {
+        ...describeProvider(llmProvider),
+        fallback: llmProvider.fallback ? describeProvider(llmProvider.fallback) : null
+      },
+      input: null,
+      functionDeclarations: [],
+      events: [],
+      output: null
+    };
+    this.llmProvider = this.buildProvider(llmProvider);
+    this.toolRegistry = this.buildToolRegistry();
+  }
+
+  buildProvider(inner) {
+    const harness = this;
+
+    return {
+      name: inner.name,
+      label: inner.label,
+      model: inner.model,
+      limits: inner.limits,
+      retryPolicy: inner.retryPolicy,
+      historyCompaction: inner.historyCompaction,
+      fallback: inner.fallback ? this.buildProvider(inner.fallback) : null,
+      startChat(options) {
+        const session = inner.startChat(options);
+        return {
+          async sendMessageStream(parts, options) {
+            const event = harness.pushEvent({
+              type: 'llm',
+              provider: inner.name,
+              method: 'sendMessageStream',
+              request: clone(parts)
+            });
+            let result;
+            try {
+              result = await session.sendMessageStream(parts, options);
+            } catch (error) {
+              event.error = serializeError(error);
+              throw error;
+            }
+
+            event.chunks = [];
+            async function* stream() {
+              for await (const chunk of result.stream) {
+                event.chunks.push(clone(chunk));
+                yield chunk;
+              }
+            }
+            return {
+              stream: stream(),
+              response: result.response.then(response => {
+                event.response = clone(response);
+                return response;
+              })
+            };
+          },
+          async sendMessage(parts, options) {
+            const event = harness.pushEvent({ type: 'llm', provider: inner.name, method: 'sendMessage', request: clone(parts) });
+            try {
+              const response = await session.sendMessage(parts, options);
+              event.response = clone(response);
+              return response;
+            } catch (error) {
+              event.error = serializeError(error);
+              throw error;
+            }
+          }
+        };
+      }
+    };
+  }
+
+  buildToolRegistry() {
+    const harness = this;
+    const inner = this.innerRegistry;
+
+    return {
+      ensureConnected: () => inner.ensureConnected(),
+      hasTool: name => inner.hasTool(name),
+      describe: () => inner.describe(),
+      cancelRequests: cancellationTag => inner.cancelRequests(cancellationTag),
+      getFunctionDeclarations() {
+        const declarations = inner.getFunctionDeclarations();
+        harness.fixture.functionDeclarations = clone(declarations);
+        return declarations;
+      },
+      async callTool(name, args = {}, options) {
+        const event = harness.pushEvent({ type: 'tool', name, args: clone(args) });
+        try {
+          const result = await inner.callTool(name, args, options);
+          event.result = clone(result);
+          return result;
+        } catch (error) {
+          event.error = serializeError(error);
+          throw error;
+        }
+      }
+    };
+  }
+
+  // Records the WGSN evidence the agent loads as an event of its own, so
+  // replay never reads report PDFs from disk.
+  attachTo(agent) {
+    const harness = this;
+    const load = agent.loadWgsnEvidence.bind(agent);
+    agent.loadWgsnEvidence = async userMessage => {
+      const event = harness.pushEvent({ type: 'wgsn', query: userMessage });
+      try {
+        const evidence = await load(userMessage);
+        event.result = summarizeWgsnEvidence(evidence);
+        return evidence;
+      } catch (error) {
+        event.error = serializeError(error);
+        throw error;
+      }
+    };
+    return agent;
+  }
+
+  pushEvent(event) {
+    this.fixture.events.push(event);
+    return event;
+  }
+
+  setInput({ userMessage, history = [] }) {
+    this.fixture.input = { userMessage, history: clone(history) };
+  }
+
+  setOutput(result) {
+    this.fixture.output = summarizeAgentResult(result);
+  }
+
+  setError(error) {
+    this.fixture.output = { error: serializeError(error) };
+  }
+}
+
+// Serves a recorded fixture back in order. Any divergence from the recorded
+// call sequence (a different method, tool or tool arguments) throws a
+// ReplayMismatchError instead of silently returning the wrong response.
+export class ReplayHarness {
+  constructor(fixture) {
+    if (fixture?.version !== AGENT_FIXTURE_VERSION) {
+      throw new Error(`Unsupported agent fixture version: ${fixture?.version}`);
+    }
+    this.fixture = fixture;
+    this.cursor = 0;
+    this.llmProvider = this.buildProvider(fixture.provider || {});
+    this.toolRegistry = this.buildToolRegistry();
+  }
+
+  nextEvent(expected) {
+    const event = this.fixture.events[this.cursor];
+    if (!event) {
+      throw new ReplayMismatchError(`Replay ran past the end of the fixture at event ${this.cursor}.`, { expected });
+    }
+
+    const describe = entry => {
+      if (entry.type === 'tool') {
+        return `tool ${entry.name}`;
+      }
+      if (entry.type === 'wgsn') {
+        return 'WGSN evidence';
+      }
+      return `llm ${entry.method}${entry.provider ? ` on ${entry.provider}` : ''}`;
+    };
+    // Fixtures recorded before fallback models existed carry no provider name.
+    const sameProvider = !event.provider || event.provider === expected.provider;
+    const matches = event.type === expected.type && (
+      event.type === 'tool' ? event.name === expected.name
+        : event.type === 'wgsn' || (event.method === expected.method && sameProvider)
+    );
+    if (!matches) {
+      throw new ReplayMismatchError(
+        `Replay diverged at event ${this.cursor}: recorded ${describe(event)}, got ${describe(expected)}.`,
+        { index: this.cursor, recorded: describe(event), actual: describe(expected) }
+      );
+    }
+
+    this.cursor += 1;
+    return event;
+  }
+
+  buildProvider(provider) {
+    const harness = this;
+    const name = provider.name || 'replay';
+
+    return {
+      name,
+      label: provider.label || 'Replay',
+      model: provider.model || null,
+      // Wall-clock time is not replayed, so a recorded turn_timeout or retry deadline does not recur.
+      limits: provider.limits || undefined,
+      retryPolicy: provider.retryPolicy || undefined,
+      historyCompaction: provider.historyCompaction || undefined,
+      fallback: provider.fallback ? this.buildProvider(provider.fallback) : null,
+      startChat() {
+        return {
+          async sendMessageStream() {
+            const event = harness.nextEvent({ type: 'llm', provider: name, method: 'sendMessageStream' });
+            if (event.error) {
+              throw restoreError(event.error);
+            }
+            const chunks = clone(event.chunks || []);
+            async function* stream() {
+              yield* chunks;
+            }
+            return { stream: stream(), response: Promise.resolve(clone(event.response)) };
+          },
+          async sendMessage() {
+            const event = harness.nextEvent({ type: 'llm', provider: name, method: 'sendMessage' });
+            if (event.error) {
+              throw restoreError(event.error);
+            }
+            return clone(event.response);
+          }
+        };
+      }
+    };
+  }
+
+  buildToolRegistry() {
+    const harness = this;
+    const declarations = this.fixture.functionDeclarations || [];
+
+    return {
+      ensureConnected: async () => {},
+      hasTool: name => declarations.some(declaration => declaration.name === name),
+      describe: () => [],
+      getFunctionDeclarations: () => clone(declarations),
+      async callTool(name, args = {}) {
+        const event = harness.nextEvent({ type: 'tool', name });
+        if (JSON.stringify(event.args ?? {}) !== JSON.stringify(args ?? {})) {
+          throw new ReplayMismatchError(`Replay diverged at event ${harness.cursor - 1}: ${name} was called with different arguments.`, {
+            index: harness.cursor - 1,
+            recorded: event.args,
+            actual: args
+          });
+        }
+        if (event.error) {
+          throw restoreError(event.error);
+        }
+        return clone(event.result);
+      }
+    };
+  }
+
+  // Fixtures recorded before WGSN evidence was captured replay as if no
+  // report matched.
+  async loadWgsnEvidence() {
+    if (!this.fixture.events.some(event => event.type === 'wgsn')) {
+      return null;
+    }
+    const event = this.nextEvent({ type: 'wgsn' });
+    if (event.error) {
+      throw restoreError(event.error);
+    }
+    return clone(event.result) ?? null;
+  }
+
+  remainingEvents() {
+    return this.fixture.events.length - this.cursor;
+  }
+}
+
+// The PDF excerpts are left out: replayed requests never reach a model, and
+// their base64 would dwarf the rest of the fixture.
+function summarizeWgsnEvidence(evidence) {
+  if (!evidence) {
+    return null;
+  }
+  const withoutData = part => ({ ...part, inlineData: { mimeType: part.inlineData?.mimeType, data: '' } });
+  return clone({
+    ...evidence,
+    inlineParts: (evidence.inlineParts || []).map(withoutData),
+    attachments: (evidence.attachments || []).map(withoutData)
+  });
+}
+
+// Moodboard PDFs are written under this checkout's generated/ directory, so
+// only the file name is compared.
+function summarizePayload(payload) {
+  const summary = clone(payload) ?? null;
+  if (summary?.moodboard?.pdfPath) {
+    summary.moodboard.pdfPath = path.basename(summary.moodboard.pdfPath);
+  }
+  return summary;
+}
+
+export function summarizeAgentResult(result) {
+  return {
+    text: result.text,
+    toolCalls: (result.toolCalls || []).map(call => ({ name: call.name, args: call.args, error: call.error })),
+    queryType: result.routingSuggestion?.queryType ?? null,
+    formatValidation: result.formatValidation,
+    limitReached: result.budget?.limitReached?.reason ?? null,
+    attachmentCount: (result.attachments || []).length,
+    payload: summarizePayload(result.payload),
+    // Only present when used, so fixtures recorded without a fallback still match.
+    ...(result.fallback ? { fallback: result.fallback.to.name } : {})
+  };
+}
+
+export function loadAgentFixture(filePath) {
+  return JSON.parse(readFileSync(filePath, 'utf-8'));
+}
+
+export function saveAgentFixture(filePath, fixture) {
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileSync(filePath, JSON.stringify(fixture, null, 2), 'utf-8');
+}
+
+// Re-runs a recorded turn with no network access and reports every field of
+// the summarized result that differs from the recording.
+export async function replayAgentFixture(fixture, { streamCallback = null } = {}) {
+  const harness = new ReplayHarness(fixture);
+  const agent = new Agent(harness.llmProvider, streamCallback, harness.toolRegistry);
+  // Recorded rate-limit errors are replayed without waiting out the backoff.
+  agent.delay = async () => {};
+  agent.loadWgsnEvidence = () => harness.loadWgsnEvidence();
+  agent.loadConversationHistory(fixture.input?.history || []);
+
+  let actual;
+  try {
+    actual = summarizeAgentResult(await agent.chat(fixture.input?.userMessage ?? ''));
+  } catch (error) {
+    if (error instanceof ReplayMismatchError) {
+      throw error;
+    }
+    actual = { error: serializeError(error) };
+  }
+
+  const expected = fixture.output || {};
+  const differences = Object.keys({ ...expected, ...actual })
+    .filter(key => JSON.stringify(expected[key]) !== JSON.stringify(actual[key]))
+    .map(key => ({ field: key, expected: expected[key], actual: actual[key] }));
+
+  if (harness.remainingEvents() > 0) {
+    differences.push({ field: 'events', expected: fixture.events.length, actual: harness.cursor });
+  }
+
+  return { actual, expected, differences, history: agent.getConversationHistorySnapshot() };
+}
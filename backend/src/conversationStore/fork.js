@@ -0,0 +1,110 @@
+import { randomUUID } from 'node:crypto';
+import { deepClone, listToolCalls } from './messages.js';
+
+// Cuts a conversation's messages and model history at one of its messages,
+// for both stores: forks copy what comes before the cut into a new
+// conversation, edits and regenerations (planRewind) drop what comes after.
+// Forking at an assistant message keeps everything up to and including that
+// answer; forking at a user message keeps everything before it and hands the
+// question back as a draft to ask again.
+
+// The agent stores each question as the start of a user entry, followed by
+// any hint blocks it appended; compaction may strip the hints but keeps the
+// question itself.
+function startsUserTurn(content, text) {
+  const first = content?.role === 'user'
+    ? (content.parts || []).find(part => typeof part.text === 'string')?.text
+    : null;
+  return typeof first === 'string' && (first === text || first.startsWith(`${text}\n\n`));
+}
+
+// History index at which each user message's turn starts. Turns that were
+// folded into a compaction summary have no entry of their own.
+function locateUserTurns(messages, history) {
+  const positions = new Map();
+  let cursor = 0;
+  messages.forEach((message, index) => {
+    if (message.role !== 'user') {
+      return;
+    }
+    for (let position = cursor; position < history.length; position += 1) {
+      if (startsUserTurn(history[position], message.content)) {
+        positions.set(index, position);
+        cursor = position + 1;
+        return;
+      }
+    }
+  });
+  return positions;
+}
+
+// Plain question/answer pairs, used when the cut point sits inside a
+// compaction summary and the stored history cannot be split there.
+function historyFromMessages(messages) {
+  return messages.flatMap((message, index) => {
+    const answer = messages[index + 1];
+    if (message.role !== 'user' || answer?.role !== 'assistant') {
+      return [];
+    }
+    return [
+      { role: 'user', parts: [{ text: message.content }] },
+      { role: 'model', parts: [{ text: answer.content }] }
+    ];
+  });
+}
+
+// The model history that goes with messages.slice(0, end).
+function historyBefore(messages, modelHistory, end) {
+  const history = Array.isArray(modelHistory) ? modelHistory : [];
+  const nextUserIndex = messages.findIndex((message, candidate) => candidate >= end && message.role === 'user');
+  if (nextUserIndex === -1) {
+    return deepClone(history);
+  }
+
+  const cut = locateUserTurns(messages, history).get(nextUserIndex);
+  return cut === undefined ? historyFromMessages(messages.slice(0, end)) : deepClone(history.slice(0, cut));
+}
+
+// Returns null when `messageId` is not in `messages`. Copied messages get new
+// ids; tool call ids are kept so their full results can be copied alongside.
+export function planFork(messages, modelHistory, messageId) {
+  const index = messages.findIndex(message => message.id === messageId);
+  if (index === -1) {
+    return null;
+  }
+
+  const forkMessage = messages[index];
+  const end = forkMessage.role === 'user' ? index : index + 1;
+  const kept = messages.slice(0, end);
+
+  return {
+    messages: kept.map(message => ({ ...deepClone(message), id: randomUUID() })),
+    modelHistory: historyBefore(messages, modelHistory, end),
+    draft: forkMessage.role === 'user' ? forkMessage.content : null,
+    truncatedToolCallIds: listToolCalls(kept)
+      .filter(({ toolCall }) => toolCall.resultTruncated)
+      .map(({ toolCall }) => toolCall.id)
+  };
+}
+
+// Drops a user message and everything after it, so the question can be asked
+// again. The dropped messages become a new entry in `versions`, after any the
+// message already had, for the replacement question to carry. Returns null
+// unless `messageId` is a user message.
+export function planRewind(messages, modelHistory, messageId) {
+  const index = messages.findIndex(message => message.id === messageId);
+  if (index === -1 || messages[index].role !== 'user') {
+    return null;
+  }
+
+  const { versions = [], ...question } = deepClone(messages[index]);
+  return {
+    messages: messages.slice(0, index),
+    modelHistory: historyBefore(messages, modelHistory, index),
+    removedMessageIds: messages.slice(index).map(message => message.id),
+    versions: [
+      ...versions,
+      { archivedAt: new Date().toISOString(), messages: [question, ...deepClone(messages.slice(index + 1))] }
+    ]
+  };
+}
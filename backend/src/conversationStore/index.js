@@ -0,0 +1,21 @@
+import { join } from 'node:path';
+import { JsonConversationStore } from './jsonConversationStore.js';
+import { SqliteConversationStore } from './sqliteConversationStore.js';
+
+export { JsonConversationStore, SqliteConversationStore };
+
+// Picks the store from CONVERSATION_STORE. "sqlite" (the default) keeps
+// <dataDir>/conversations.db and imports an existing conversations.json once;
+// "json" keeps using <dataDir>/conversations.json.
+export function createConversationStore(dataDir, type = process.env.CONVERSATION_STORE || 'sqlite') {
+  const jsonPath = join(dataDir, 'conversations.json');
+
+  switch (type.toLowerCase()) {
+    case 'sqlite':
+      return new SqliteConversationStore(join(dataDir, 'conversations.db'), { migrateFromJsonPath: jsonPath });
+    case 'json':
+      return new JsonConversationStore(jsonPath);
+    default:
+      throw new Error(`Unknown CONVERSATION_STORE "${type}". Use "sqlite" or "json".`);
+  }
+}
@@ -0,0 +1,393 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { DEFAULT_TITLE, collectFullToolResults, deepClone, findToolCall, normalizeMessage } from './messages.js';
+import { planFork, planRewind } from './fork.js';
+import { DEFAULT_SEARCH_LIMIT, buildSnippet, collectSearchFields, groupSearchHits, parseSearchTerms } from './search.js';
+
+// Keeps every conversation in one JSON file that is rewritten on each change.
+// Fine for small single-user setups; see SqliteConversationStore otherwise.
+export class JsonConversationStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.toolResultsDir = join(dirname(filePath), 'tool-results');
+    mkdirSync(dirname(filePath), { recursive: true });
+    this.data = { conversations: [] };
+    this._load();
+
+    if (this.data.conversations.length === 0) {
+      const conversation = this._buildConversation();
+      this.data.conversations.push(conversation);
+      this._save();
+    }
+  }
+
+  _load() {
+    try {
+      const raw = readFileSync(this.filePath, 'utf-8');
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed?.conversations)) {
+        this.data = {
+          conversations: parsed.conversations.map((conversation) => {
+            const messages = Array.isArray(conversation.messages)
+              ? conversation.messages
+                  .map(message => normalizeMessage(message))
+                  .filter(message => message && message.role !== 'error')
+              : [];
+
+            return {
+              ...conversation,
+              messages,
+              modelHistory: Array.isArray(conversation.modelHistory) ? conversation.modelHistory : []
+            };
+          })
+        };
+      }
+    } catch (error) {
+      this.data = { conversations: [] };
+      this._save();
+    }
+
+    this._sortConversations();
+  }
+
+  // Written to a temporary file and renamed over the store, so a crash mid-write
+  // leaves the previous version intact.
+  _save() {
+    const tempPath = `${this.filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf-8');
+    renameSync(tempPath, this.filePath);
+  }
+
+  _buildConversation(title, { llmProfile = null } = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: randomUUID(),
+      title: title?.trim() || this._generateDefaultTitle(),
+      createdAt: now,
+      updatedAt: now,
+      llmProfile: llmProfile || null,
+      messages: [],
+      modelHistory: []
+    };
+  }
+
+  _generateDefaultTitle() {
+    const count = this.data.conversations.length + 1;
+    return `${DEFAULT_TITLE} ${count}`;
+  }
+
+  _sortConversations() {
+    this.data.conversations.sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+  }
+
+  _touchConversation(conversation) {
+    conversation.updatedAt = new Date().toISOString();
+    this._sortConversations();
+  }
+
+  _findConversation(conversationId) {
+    return this.data.conversations.find(conversation => conversation.id === conversationId) || null;
+  }
+
+  _ensureConversation(conversationId) {
+    if (!conversationId) {
+      return this.data.conversations[0];
+    }
+
+    const existing = this._findConversation(conversationId);
+    if (existing) {
+      return existing;
+    }
+
+    const fallback = this.data.conversations[0];
+    return fallback;
+  }
+
+  resolveConversationId(conversationId) {
+    const conversation = this._ensureConversation(conversationId);
+    return conversation?.id || null;
+  }
+
+  getDefaultConversationId() {
+    return this.data.conversations[0]?.id || null;
+  }
+
+  createConversation(title, options = {}) {
+    const conversation = this._buildConversation(title, options);
+    this.data.conversations.unshift(conversation);
+    this._save();
+    return deepClone(conversation);
+  }
+
+  listConversations() {
+    return this.data.conversations.map(conversation => {
+      const lastMessage = conversation.messages[conversation.messages.length - 1] || null;
+      const preview = lastMessage?.content
+        ? String(lastMessage.content).slice(0, 120)
+        : '';
+
+      return {
+        id: conversation.id,
+        title: conversation.title,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        llmProfile: conversation.llmProfile || null,
+        messageCount: conversation.messages.length,
+        lastMessageRole: lastMessage?.role || null,
+        lastMessagePreview: preview
+      };
+    });
+  }
+
+  getConversation(conversationId) {
+    if (!conversationId) {
+      return null;
+    }
+
+    const conversation = this._findConversation(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    return deepClone(conversation);
+  }
+
+  hasConversation(conversationId) {
+    if (!conversationId) {
+      return false;
+    }
+    return !!this._findConversation(conversationId);
+  }
+
+  renameConversation(conversationId, title) {
+    const conversation = this._findConversation(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    conversation.title = title?.trim() || conversation.title;
+    this._touchConversation(conversation);
+    this._save();
+
+    return deepClone(conversation);
+  }
+
+  // null clears the override so the conversation follows the deployment default.
+  setLlmProfile(conversationId, llmProfile) {
+    const conversation = this._findConversation(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    conversation.llmProfile = llmProfile || null;
+    this._touchConversation(conversation);
+    this._save();
+
+    return deepClone(conversation);
+  }
+
+  deleteConversation(conversationId) {
+    const index = this.data.conversations.findIndex(conversation => conversation.id === conversationId);
+    if (index === -1) {
+      return this.data.conversations.length > 0 ? this.getConversation(this.data.conversations[0].id) : null;
+    }
+
+    this.data.conversations.splice(index, 1);
+    this._removeToolResults(conversationId);
+
+    if (this.data.conversations.length === 0) {
+      const conversation = this._buildConversation();
+      this.data.conversations.push(conversation);
+    }
+
+    this._save();
+    return deepClone(this.data.conversations[0]);
+  }
+
+  // Returns { conversation, draft }, or null when the conversation or message
+  // does not exist. See planFork for what the new conversation starts with.
+  forkConversation(conversationId, messageId, { title } = {}) {
+    const source = this._findConversation(conversationId);
+    const plan = source ? planFork(source.messages, source.modelHistory, messageId) : null;
+    if (!plan) {
+      return null;
+    }
+
+    const conversation = {
+      ...this._buildConversation(title?.trim() || `${source.title} (branch)`, { llmProfile: source.llmProfile }),
+      messages: plan.messages,
+      modelHistory: plan.modelHistory
+    };
+    plan.truncatedToolCallIds.forEach(toolCallId => {
+      const result = this._loadToolResult(conversationId, toolCallId);
+      if (result !== null) {
+        this._saveToolResult(conversation.id, toolCallId, result);
+      }
+    });
+    this.data.conversations.unshift(conversation);
+    this._save();
+
+    return { conversation: deepClone(conversation), draft: plan.draft };
+  }
+
+  resetConversation(conversationId) {
+    const conversation = this._findConversation(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    conversation.messages = [];
+    conversation.modelHistory = [];
+    this._removeToolResults(conversationId);
+    this._touchConversation(conversation);
+    this._save();
+
+    return deepClone(conversation);
+  }
+
+  // Rewinds to just before a user message so it can be edited or its answer
+  // regenerated (see planRewind). Returns { versions } for the replacement
+  // question to carry, or null when the conversation or user message does not
+  // exist.
+  rewindConversation(conversationId, messageId) {
+    const conversation = this._findConversation(conversationId);
+    const plan = conversation ? planRewind(conversation.messages, conversation.modelHistory, messageId) : null;
+    if (!plan) {
+      return null;
+    }
+
+    conversation.messages = plan.messages;
+    conversation.modelHistory = plan.modelHistory;
+    this._touchConversation(conversation);
+    this._save();
+
+    return { versions: plan.versions };
+  }
+
+  appendMessage(conversationId, message) {
+    const conversation = this._findConversation(conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    const entry = normalizeMessage(message);
+
+    if (!entry) {
+      throw new Error('Invalid message payload');
+    }
+
+    if (entry.role === 'error') {
+      return deepClone(entry);
+    }
+
+    // Full results are written before the message references them.
+    collectFullToolResults(entry, message).forEach(({ toolCallId, result }) => {
+      this._saveToolResult(conversationId, toolCallId, result);
+    });
+
+    conversation.messages.push(entry);
+    this._touchConversation(conversation);
+    this._save();
+
+    return deepClone(entry);
+  }
+
+  setModelHistory(conversationId, history) {
+    const conversation = this._findConversation(conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    conversation.modelHistory = Array.isArray(history) ? deepClone(history) : [];
+    this._touchConversation(conversation);
+    this._save();
+  }
+
+  getModelHistory(conversationId) {
+    const conversation = this._findConversation(conversationId);
+    if (!conversation) {
+      return [];
+    }
+
+    return deepClone(conversation.modelHistory);
+  }
+
+  // Returns the tool call with its full result, even when the stored message
+  // only keeps a truncated preview of it.
+  getToolCall(conversationId, toolCallId) {
+    const conversation = this._findConversation(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    const found = findToolCall(conversation.messages, toolCallId);
+    if (!found) {
+      return null;
+    }
+
+    const toolCall = deepClone(found.toolCall);
+    if (toolCall.resultTruncated) {
+      const fullResult = this._loadToolResult(conversationId, toolCallId);
+      if (fullResult !== null) {
+        toolCall.result = fullResult;
+        delete toolCall.resultTruncated;
+      }
+    }
+    return { messageId: found.message.id, toolCall };
+  }
+
+  // Scans every conversation; there is no index behind the JSON file, so hits
+  // are ranked by how often the terms occur, most recent conversation first on ties.
+  searchConversations(query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const terms = parseSearchTerms(query);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const hits = [];
+    this.data.conversations.forEach((conversation, order) => {
+      const fields = [
+        { messageId: null, role: null, timestamp: null, field: 'title', text: conversation.title },
+        ...conversation.messages.flatMap(message => collectSearchFields(message).map(field => ({
+          messageId: message.id,
+          role: message.role,
+          timestamp: message.timestamp,
+          ...field
+        })))
+      ];
+      fields.forEach(({ text, ...match }) => {
+        const snippet = buildSnippet(text, terms);
+        if (snippet) {
+          const { score, ...rest } = snippet;
+          hits.push({ conversation, match: { ...match, ...rest }, score, order });
+        }
+      });
+    });
+
+    hits.sort((a, b) => b.score - a.score || a.order - b.order);
+    return groupSearchHits(hits, { limit });
+  }
+
+  _toolResultPath(conversationId, toolCallId) {
+    return join(this.toolResultsDir, conversationId, `${toolCallId}.json`);
+  }
+
+  _saveToolResult(conversationId, toolCallId, result) {
+    const filePath = this._toolResultPath(conversationId, toolCallId);
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, JSON.stringify(result ?? null), 'utf-8');
+  }
+
+  _loadToolResult(conversationId, toolCallId) {
+    const filePath = this._toolResultPath(conversationId, toolCallId);
+    if (!existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  }
+
+  _removeToolResults(conversationId) {
+    rmSync(join(this.toolResultsDir, conversationId), { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,156 @@
+import { randomUUID } from 'node:crypto';
+
+// Message normalization shared by the JSON and SQLite conversation stores.
+
+export const DEFAULT_TITLE = 'New Conversation';
+// Tool results larger than this are kept in the message as a preview; the
+// store saves the full result separately (see getToolCall).
+const MAX_STORED_RESULT_CHARS = 4000;
+const STORED_PREVIEW_ROWS = 20;
+
+export function deepClone(value) {
+  return JSON.parse(JSON.stringify(value ?? null));
+}
+
+function truncateToolResult(result) {
+  const serialized = JSON.stringify(result ?? null);
+  if (serialized.length <= MAX_STORED_RESULT_CHARS) {
+    return { result: deepClone(result), truncated: false };
+  }
+
+  if (Array.isArray(result?.rows)) {
+    return { result: { ...deepClone(result), rows: deepClone(result.rows.slice(0, STORED_PREVIEW_ROWS)) }, truncated: true };
+  }
+  return { result: { preview: `${serialized.slice(0, MAX_STORED_RESULT_CHARS)}…` }, truncated: true };
+}
+
+function normalizeToolCall(call) {
+  const entry = {
+    id: call.id || randomUUID(),
+    name: call.name,
+    args: deepClone(call.args || {}),
+    error: call.error || null
+  };
+
+  if (call.resultTruncated) {
+    entry.result = deepClone(call.result);
+    entry.resultTruncated = true;
+  } else if (call.result !== undefined && call.result !== null) {
+    const { result, truncated } = truncateToolResult(call.result);
+    entry.result = result;
+    if (truncated) {
+      entry.resultTruncated = true;
+    }
+  }
+
+  if (call.statistics) {
+    entry.statistics = deepClone(call.statistics);
+  }
+  if (call.timing) {
+    entry.timing = deepClone(call.timing);
+  }
+  return entry;
+}
+
+// The response schema and fallback config are looked up again from config, so
+// only the routing decision itself is stored.
+function normalizeRoutingSuggestion(suggestion) {
+  return {
+    queryType: suggestion.queryType ?? null,
+    confidence: suggestion.confidence ?? 0,
+    tables: deepClone(suggestion.tables || []),
+    matchedKeywords: deepClone(suggestion.matchedKeywords || []),
+    fallbackApplied: Boolean(suggestion.fallbackApplied)
+  };
+}
+
+export function normalizeMessage(message) {
+  if (!message || typeof message !== 'object') {
+    return null;
+  }
+
+  const role = message.role || 'assistant';
+  const base = {
+    id: message.id || randomUUID(),
+    role,
+    content: typeof message.content === 'string' ? message.content : (message.content ? String(message.content) : ''),
+    timestamp: message.timestamp || new Date().toISOString()
+  };
+
+  if (role === 'error') {
+    return base;
+  }
+
+  if (role !== 'user' && role !== 'assistant') {
+    return null;
+  }
+
+  // Earlier versions of an edited or regenerated question, each with the
+  // answers it got at the time (see planRewind).
+  if (role === 'user' && Array.isArray(message.versions) && message.versions.length > 0) {
+    base.versions = message.versions.map(version => ({
+      archivedAt: version.archivedAt || null,
+      messages: (version.messages || []).map(normalizeMessage).filter(Boolean)
+    }));
+  }
+
+  if (role === 'assistant') {
+    if (Array.isArray(message.attachments) && message.attachments.length > 0) {
+      base.attachments = deepClone(message.attachments);
+    }
+
+    if (message.payload) {
+      base.payload = deepClone(message.payload);
+    }
+
+    if (message.cancelled) {
+      base.cancelled = true;
+    }
+
+    if (Array.isArray(message.toolCalls) && message.toolCalls.length > 0) {
+      base.toolCalls = message.toolCalls.map(normalizeToolCall);
+    }
+
+    if (message.routingSuggestion) {
+      base.routingSuggestion = normalizeRoutingSuggestion(message.routingSuggestion);
+    }
+
+    if (message.formatValidation) {
+      base.formatValidation = deepClone(message.formatValidation);
+    }
+  }
+
+  return base;
+}
+
+// Pairs each tool call that normalizeMessage truncated with the full result
+// from the original message, so the store can keep it separately. Earlier
+// versions of an edited question are searched as well.
+export function collectFullToolResults(entry, message) {
+  const ownResults = (entry.toolCalls || [])
+    .map((call, index) => ({ call, original: message.toolCalls[index] }))
+    .filter(({ call, original }) => call.resultTruncated && !original.resultTruncated)
+    .map(({ call, original }) => ({ toolCallId: call.id, result: original.result }));
+
+  // normalizeMessage drops invalid version messages, so the originals are
+  // filtered the same way to keep them in step.
+  const versionResults = (entry.versions || []).flatMap((version, index) => {
+    const originals = (message.versions[index].messages || []).filter(original => normalizeMessage(original));
+    return version.messages.flatMap((versionEntry, position) => collectFullToolResults(versionEntry, originals[position]));
+  });
+
+  return [...ownResults, ...versionResults];
+}
+
+// Every tool call in `messages` with the message it belongs to, including the
+// ones in earlier versions of edited questions.
+export function listToolCalls(messages) {
+  return messages.flatMap(message => [
+    ...(message.toolCalls || []).map(toolCall => ({ message, toolCall })),
+    ...(message.versions || []).flatMap(version => listToolCalls(version.messages || []))
+  ]);
+}
+
+export function findToolCall(messages, toolCallId) {
+  return listToolCalls(messages).find(({ toolCall }) => toolCall.id === toolCallId) || null;
+}
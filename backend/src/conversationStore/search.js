@@ -0,0 +1,123 @@
+// Search helpers shared by both stores. A conversation is searchable by its
+// title, the content of its messages and the SQL its tool calls ran; snippets
+// come back as plain text with [start, end) highlight ranges so clients never
+// have to render markup from the server.
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_MATCHES_PER_CONVERSATION = 5;
+const MAX_SEARCH_TERMS = 8;
+const SNIPPET_CONTEXT_CHARS = 60;
+// Private-use characters the SQLite store asks FTS5 to wrap matches in.
+export const HIGHLIGHT_OPEN = '\u0002';
+export const HIGHLIGHT_CLOSE = '\u0003';
+
+export function parseSearchTerms(query) {
+  return (String(query || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).slice(0, MAX_SEARCH_TERMS);
+}
+
+// Each term is quoted (so FTS5 operators in user input are inert) and
+// prefix-matched, and all terms must appear in the same field.
+export function toFtsQuery(terms) {
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+// The searchable fields of a stored message: its text and every SQL query its
+// tool calls ran.
+export function collectSearchFields(message) {
+  const fields = [];
+  if (message?.content) {
+    fields.push({ field: 'content', text: String(message.content) });
+  }
+  const sql = (message?.toolCalls || [])
+    .map(call => call?.args?.query)
+    .filter(query => typeof query === 'string' && query.trim())
+    .join('\n\n');
+  if (sql) {
+    fields.push({ field: 'sql', text: sql });
+  }
+  return fields;
+}
+
+// Turns an FTS5 snippet with HIGHLIGHT_OPEN/CLOSE markers into text plus ranges.
+export function readMarkedSnippet(marked) {
+  let snippet = '';
+  let start = null;
+  const highlights = [];
+  for (const char of String(marked || '')) {
+    if (char === HIGHLIGHT_OPEN) {
+      start = snippet.length;
+    } else if (char === HIGHLIGHT_CLOSE) {
+      if (start !== null && snippet.length > start) {
+        highlights.push([start, snippet.length]);
+      }
+      start = null;
+    } else {
+      snippet += char;
+    }
+  }
+  return { snippet: snippet.replace(/\s+/g, ' '), highlights };
+}
+
+// Words in `text` starting with one of the terms, as [start, end) ranges.
+function findTermRanges(text, terms) {
+  const ranges = [];
+  for (const match of text.matchAll(/[\p{L}\p{N}_]+/gu)) {
+    const word = match[0].toLowerCase();
+    if (terms.some(term => word.startsWith(term))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+// Builds a snippet around the first match, mirroring FTS5's snippet(). Returns
+// null unless every term matches somewhere in the text.
+export function buildSnippet(text, terms) {
+  const flat = String(text || '').replace(/\s+/g, ' ');
+  const ranges = findTermRanges(flat, terms);
+  const matchedTerms = new Set(ranges.map(([start, end]) => {
+    const word = flat.slice(start, end).toLowerCase();
+    return terms.find(term => word.startsWith(term));
+  }));
+  if (terms.length === 0 || matchedTerms.size < new Set(terms).size) {
+    return null;
+  }
+
+  const from = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT_CHARS);
+  const to = Math.min(flat.length, ranges[0][1] + SNIPPET_CONTEXT_CHARS * 2);
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < flat.length ? '…' : '';
+  const offset = prefix.length - from;
+
+  return {
+    snippet: `${prefix}${flat.slice(from, to)}${suffix}`,
+    highlights: ranges
+      .filter(([start, end]) => start >= from && end <= to)
+      .map(([start, end]) => [start + offset, end + offset]),
+    score: ranges.length
+  };
+}
+
+// Groups ranked hits ({conversation, match}) into one result per conversation,
+// keeping the order of each conversation's best hit.
+export function groupSearchHits(hits, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const results = new Map();
+  for (const { conversation, match } of hits) {
+    if (!results.has(conversation.id)) {
+      if (results.size >= limit) {
+        continue;
+      }
+      results.set(conversation.id, {
+        conversationId: conversation.id,
+        title: conversation.title,
+        updatedAt: conversation.updatedAt,
+        matches: []
+      });
+    }
+    const result = results.get(conversation.id);
+    if (result.matches.length < MAX_MATCHES_PER_CONVERSATION) {
+      result.matches.push(match);
+    }
+  }
+  return Array.from(results.values());
+}
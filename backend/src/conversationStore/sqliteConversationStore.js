@@ -0,0 +1,546 @@
+import { existsSync, mkdirSync, readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { randomUUID } from 'node:crypto';
+import Database from 'better-sqlite3';
+import { DEFAULT_TITLE, collectFullToolResults, deepClone, findToolCall, listToolCalls, normalizeMessage } from './messages.js';
+import { planFork, planRewind } from './fork.js';
+import {
+  DEFAULT_SEARCH_LIMIT,
+  HIGHLIGHT_CLOSE,
+  HIGHLIGHT_OPEN,
+  collectSearchFields,
+  groupSearchHits,
+  parseSearchTerms,
+  readMarkedSnippet,
+  toFtsQuery
+} from './search.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS conversations (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    llm_profile TEXT
+  );
+  CREATE TABLE IF NOT EXISTS messages (
+    id TEXT PRIMARY KEY,
+    conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    details TEXT
+  );
+  CREATE INDEX IF NOT EXISTS messages_by_conversation ON messages(conversation_id, position);
+  CREATE TABLE IF NOT EXISTS model_history (
+    conversation_id TEXT PRIMARY KEY REFERENCES conversations(id) ON DELETE CASCADE,
+    history TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS tool_results (
+    conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    tool_call_id TEXT NOT NULL,
+    result TEXT NOT NULL,
+    PRIMARY KEY (conversation_id, tool_call_id)
+  );
+  CREATE TABLE IF NOT EXISTS store_meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+    conversation_id UNINDEXED,
+    message_id UNINDEXED,
+    field UNINDEXED,
+    text,
+    tokenize = 'porter unicode61'
+  );
+`;
+const JSON_MIGRATION_KEY = 'json_migration';
+const SEARCH_INDEX_KEY = 'search_index';
+// Rows read from the index per search; enough to fill DEFAULT_SEARCH_LIMIT
+// conversations with several matches each.
+const MAX_SEARCH_ROWS = 200;
+
+function toConversation(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    llmProfile: row.llm_profile || null
+  };
+}
+
+// Everything except the indexed columns (tool calls, attachments, payload,
+// routing metadata) lives in the details JSON.
+function toMessage(row) {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    timestamp: row.timestamp,
+    ...(row.details ? JSON.parse(row.details) : {})
+  };
+}
+
+// Same API as JsonConversationStore, with conversations, messages, model
+// history and full tool results in separate tables. Every change runs in a
+// transaction, so a crash never leaves a half-written conversation behind.
+export class SqliteConversationStore {
+  constructor(filePath, { migrateFromJsonPath = null } = {}) {
+    this.filePath = filePath;
+    mkdirSync(dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.statements = this._prepareStatements();
+    this._buildSearchIndex();
+
+    if (migrateFromJsonPath) {
+      this._migrateFromJson(migrateFromJsonPath);
+    }
+
+    if (this.statements.countConversations.get().count === 0) {
+      this._insertConversation(this._buildConversation());
+    }
+  }
+
+  _prepareStatements() {
+    const db = this.db;
+    return {
+      countConversations: db.prepare('SELECT COUNT(*) AS count FROM conversations'),
+      insertConversation: db.prepare(`
+        INSERT INTO conversations (id, title, created_at, updated_at, llm_profile)
+        VALUES (@id, @title, @createdAt, @updatedAt, @llmProfile)
+      `),
+      selectConversation: db.prepare('SELECT * FROM conversations WHERE id = ?'),
+      selectLatestConversation: db.prepare('SELECT * FROM conversations ORDER BY updated_at DESC LIMIT 1'),
+      listConversations: db.prepare(`
+        SELECT c.*,
+          (SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id) AS message_count,
+          last.role AS last_role,
+          last.content AS last_content
+        FROM conversations c
+        LEFT JOIN messages last ON last.id = (
+          SELECT id FROM messages WHERE conversation_id = c.id ORDER BY position DESC LIMIT 1
+        )
+        ORDER BY c.updated_at DESC
+      `),
+      updateTitle: db.prepare('UPDATE conversations SET title = ?, updated_at = ? WHERE id = ?'),
+      updateLlmProfile: db.prepare('UPDATE conversations SET llm_profile = ?, updated_at = ? WHERE id = ?'),
+      touchConversation: db.prepare('UPDATE conversations SET updated_at = ? WHERE id = ?'),
+      deleteConversation: db.prepare('DELETE FROM conversations WHERE id = ?'),
+      selectMessages: db.prepare('SELECT * FROM messages WHERE conversation_id = ? ORDER BY position'),
+      insertMessage: db.prepare(`
+        INSERT INTO messages (id, conversation_id, position, role, content, timestamp, details)
+        VALUES (@id, @conversationId,
+          (SELECT COALESCE(MAX(position), -1) + 1 FROM messages WHERE conversation_id = @conversationId),
+          @role, @content, @timestamp, @details)
+      `),
+      deleteMessages: db.prepare('DELETE FROM messages WHERE conversation_id = ?'),
+      deleteMessage: db.prepare('DELETE FROM messages WHERE id = ?'),
+      selectHistory: db.prepare('SELECT history FROM model_history WHERE conversation_id = ?'),
+      upsertHistory: db.prepare(`
+        INSERT INTO model_history (conversation_id, history) VALUES (?, ?)
+        ON CONFLICT(conversation_id) DO UPDATE SET history = excluded.history
+      `),
+      deleteHistory: db.prepare('DELETE FROM model_history WHERE conversation_id = ?'),
+      upsertToolResult: db.prepare(`
+        INSERT INTO tool_results (conversation_id, tool_call_id, result) VALUES (?, ?, ?)
+        ON CONFLICT(conversation_id, tool_call_id) DO UPDATE SET result = excluded.result
+      `),
+      selectToolResult: db.prepare('SELECT result FROM tool_results WHERE conversation_id = ? AND tool_call_id = ?'),
+      deleteToolResults: db.prepare('DELETE FROM tool_results WHERE conversation_id = ?'),
+      selectMeta: db.prepare('SELECT value FROM store_meta WHERE key = ?'),
+      insertMeta: db.prepare('INSERT OR REPLACE INTO store_meta (key, value) VALUES (?, ?)'),
+      insertSearchRow: db.prepare(`
+        INSERT INTO search_index (conversation_id, message_id, field, text) VALUES (?, ?, ?, ?)
+      `),
+      deleteSearchRows: db.prepare('DELETE FROM search_index WHERE conversation_id = ?'),
+      deleteMessageSearchRows: db.prepare("DELETE FROM search_index WHERE conversation_id = ? AND field != 'title'"),
+      deleteMessageSearchRowsById: db.prepare('DELETE FROM search_index WHERE message_id = ?'),
+      deleteTitleSearchRow: db.prepare("DELETE FROM search_index WHERE conversation_id = ? AND field = 'title'"),
+      clearSearchIndex: db.prepare('DELETE FROM search_index'),
+      selectAllConversations: db.prepare('SELECT * FROM conversations'),
+      selectAllMessages: db.prepare('SELECT * FROM messages'),
+      searchIndex: db.prepare(`
+        SELECT s.conversation_id, s.message_id, s.field,
+          snippet(search_index, 3, '${HIGHLIGHT_OPEN}', '${HIGHLIGHT_CLOSE}', '…', 24) AS snippet,
+          c.title, c.updated_at, m.role, m.timestamp
+        FROM search_index s
+        JOIN conversations c ON c.id = s.conversation_id
+        LEFT JOIN messages m ON m.id = s.message_id
+        WHERE search_index MATCH ?
+        ORDER BY bm25(search_index), c.updated_at DESC
+        LIMIT ?
+      `)
+    };
+  }
+
+  // Indexes everything already stored the first time a database opens with
+  // search support. New rows are indexed as they are written.
+  _buildSearchIndex() {
+    if (this.statements.selectMeta.get(SEARCH_INDEX_KEY)) {
+      return;
+    }
+
+    this.db.transaction(() => {
+      this.statements.clearSearchIndex.run();
+      this.statements.selectAllConversations.all().forEach(row => this._indexTitle(row.id, row.title));
+      this.statements.selectAllMessages.all().forEach(row => this._indexMessage(row.conversation_id, toMessage(row)));
+      this.statements.insertMeta.run(SEARCH_INDEX_KEY, JSON.stringify({ builtAt: new Date().toISOString() }));
+    })();
+  }
+
+  _indexTitle(conversationId, title) {
+    this.statements.deleteTitleSearchRow.run(conversationId);
+    this.statements.insertSearchRow.run(conversationId, null, 'title', title);
+  }
+
+  _indexMessage(conversationId, message) {
+    collectSearchFields(message).forEach(({ field, text }) => {
+      this.statements.insertSearchRow.run(conversationId, message.id, field, text);
+    });
+  }
+
+  // Imports conversations.json (and its tool-results/ directory) the first
+  // time the SQLite store opens. The JSON file is left in place untouched.
+  _migrateFromJson(jsonPath) {
+    if (this.statements.selectMeta.get(JSON_MIGRATION_KEY)) {
+      return;
+    }
+
+    let conversations = [];
+    if (existsSync(jsonPath)) {
+      try {
+        conversations = JSON.parse(readFileSync(jsonPath, 'utf-8'))?.conversations || [];
+      } catch (error) {
+        console.warn(`Skipping conversation migration: could not read ${jsonPath}: ${error.message}`);
+        return;
+      }
+    }
+
+    const toolResultsDir = join(dirname(jsonPath), 'tool-results');
+    this.db.transaction(() => {
+      conversations.forEach(conversation => {
+        // Messages, tool results and history go under the id actually inserted,
+        // which is new when the JSON entry had none.
+        const conversationId = conversation.id || randomUUID();
+        this._insertConversation({
+          id: conversationId,
+          title: conversation.title || DEFAULT_TITLE,
+          createdAt: conversation.createdAt || new Date().toISOString(),
+          updatedAt: conversation.updatedAt || conversation.createdAt || new Date().toISOString(),
+          llmProfile: conversation.llmProfile || null
+        });
+
+        (conversation.messages || [])
+          .map(message => ({ message, entry: normalizeMessage(message) }))
+          .filter(({ entry }) => entry && entry.role !== 'error')
+          .forEach(({ message, entry }) => {
+            this._insertMessage(conversationId, entry);
+            // Results normalizeMessage truncates now are still whole in the
+            // JSON; ones the JSON store had already truncated are on disk.
+            const fullResults = new Map(collectFullToolResults(entry, message)
+              .map(({ toolCallId, result }) => [toolCallId, JSON.stringify(result ?? null)]));
+            listToolCalls([entry])
+              .filter(({ toolCall }) => toolCall.resultTruncated && !fullResults.has(toolCall.id))
+              .forEach(({ toolCall }) => {
+                const resultPath = join(toolResultsDir, conversationId, `${toolCall.id}.json`);
+                if (existsSync(resultPath)) {
+                  fullResults.set(toolCall.id, readFileSync(resultPath, 'utf-8'));
+                }
+              });
+            fullResults.forEach((result, toolCallId) => {
+              this.statements.upsertToolResult.run(conversationId, toolCallId, result);
+            });
+          });
+
+        if (Array.isArray(conversation.modelHistory) && conversation.modelHistory.length > 0) {
+          this.statements.upsertHistory.run(conversationId, JSON.stringify(conversation.modelHistory));
+        }
+      });
+
+      this.statements.insertMeta.run(JSON_MIGRATION_KEY, JSON.stringify({
+        source: jsonPath,
+        conversations: conversations.length,
+        migratedAt: new Date().toISOString()
+      }));
+    })();
+
+    if (conversations.length > 0) {
+      console.log(`Migrated ${conversations.length} conversations from ${jsonPath} into ${this.filePath}`);
+    }
+  }
+
+  _buildConversation(title, { llmProfile = null } = {}) {
+    const now = new Date().toISOString();
+    return {
+      id: randomUUID(),
+      title: title?.trim() || `${DEFAULT_TITLE} ${this.statements.countConversations.get().count + 1}`,
+      createdAt: now,
+      updatedAt: now,
+      llmProfile: llmProfile || null
+    };
+  }
+
+  _insertConversation(conversation) {
+    this.statements.insertConversation.run(conversation);
+    this._indexTitle(conversation.id, conversation.title);
+  }
+
+  _insertMessage(conversationId, message) {
+    const { id, role, content, timestamp, ...details } = message;
+    this.statements.insertMessage.run({
+      id,
+      conversationId,
+      role,
+      content,
+      timestamp,
+      details: Object.keys(details).length > 0 ? JSON.stringify(details) : null
+    });
+    this._indexMessage(conversationId, message);
+  }
+
+  _touchConversation(conversationId) {
+    this.statements.touchConversation.run(new Date().toISOString(), conversationId);
+  }
+
+  _findConversation(conversationId) {
+    if (!conversationId) {
+      return null;
+    }
+    const row = this.statements.selectConversation.get(conversationId);
+    return row ? toConversation(row) : null;
+  }
+
+  _loadConversation(conversation) {
+    const history = this.statements.selectHistory.get(conversation.id);
+    return {
+      ...conversation,
+      messages: this.statements.selectMessages.all(conversation.id).map(toMessage),
+      modelHistory: history ? JSON.parse(history.history) : []
+    };
+  }
+
+  resolveConversationId(conversationId) {
+    return this._findConversation(conversationId)?.id || this.getDefaultConversationId();
+  }
+
+  getDefaultConversationId() {
+    return this.statements.selectLatestConversation.get()?.id || null;
+  }
+
+  createConversation(title, options = {}) {
+    const conversation = this._buildConversation(title, options);
+    this._insertConversation(conversation);
+    return { ...conversation, messages: [], modelHistory: [] };
+  }
+
+  listConversations() {
+    return this.statements.listConversations.all().map(row => ({
+      ...toConversation(row),
+      messageCount: row.message_count,
+      lastMessageRole: row.last_role || null,
+      lastMessagePreview: row.last_content ? String(row.last_content).slice(0, 120) : ''
+    }));
+  }
+
+  getConversation(conversationId) {
+    const conversation = this._findConversation(conversationId);
+    return conversation ? this._loadConversation(conversation) : null;
+  }
+
+  hasConversation(conversationId) {
+    return !!this._findConversation(conversationId);
+  }
+
+  renameConversation(conversationId, title) {
+    const conversation = this._findConversation(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    const nextTitle = title?.trim() || conversation.title;
+    this.db.transaction(() => {
+      this.statements.updateTitle.run(nextTitle, new Date().toISOString(), conversationId);
+      this._indexTitle(conversationId, nextTitle);
+    })();
+    return this.getConversation(conversationId);
+  }
+
+  // null clears the override so the conversation follows the deployment default.
+  setLlmProfile(conversationId, llmProfile) {
+    if (!this._findConversation(conversationId)) {
+      return null;
+    }
+
+    this.statements.updateLlmProfile.run(llmProfile || null, new Date().toISOString(), conversationId);
+    return this.getConversation(conversationId);
+  }
+
+  deleteConversation(conversationId) {
+    const result = this.db.transaction(() => {
+      this.statements.deleteSearchRows.run(conversationId);
+      return this.statements.deleteConversation.run(conversationId);
+    })();
+    if (result.changes > 0 && this.statements.countConversations.get().count === 0) {
+      this._insertConversation(this._buildConversation());
+    }
+
+    const next = this.statements.selectLatestConversation.get();
+    return next ? this._loadConversation(toConversation(next)) : null;
+  }
+
+  // Returns { conversation, draft }, or null when the conversation or message
+  // does not exist. See planFork for what the new conversation starts with.
+  forkConversation(conversationId, messageId, { title } = {}) {
+    const source = this.getConversation(conversationId);
+    const plan = source ? planFork(source.messages, source.modelHistory, messageId) : null;
+    if (!plan) {
+      return null;
+    }
+
+    const conversation = this._buildConversation(title?.trim() || `${source.title} (branch)`, { llmProfile: source.llmProfile });
+    this.db.transaction(() => {
+      this._insertConversation(conversation);
+      plan.messages.forEach(message => this._insertMessage(conversation.id, message));
+      this.statements.upsertHistory.run(conversation.id, JSON.stringify(plan.modelHistory));
+      plan.truncatedToolCallIds.forEach(toolCallId => {
+        const stored = this.statements.selectToolResult.get(conversationId, toolCallId);
+        if (stored) {
+          this.statements.upsertToolResult.run(conversation.id, toolCallId, stored.result);
+        }
+      });
+    })();
+
+    return { conversation: this.getConversation(conversation.id), draft: plan.draft };
+  }
+
+  resetConversation(conversationId) {
+    if (!this._findConversation(conversationId)) {
+      return null;
+    }
+
+    this.db.transaction(() => {
+      this.statements.deleteMessages.run(conversationId);
+      this.statements.deleteHistory.run(conversationId);
+      this.statements.deleteToolResults.run(conversationId);
+      this.statements.deleteMessageSearchRows.run(conversationId);
+      this._touchConversation(conversationId);
+    })();
+
+    return this.getConversation(conversationId);
+  }
+
+  // Rewinds to just before a user message so it can be edited or its answer
+  // regenerated (see planRewind). Returns { versions } for the replacement
+  // question to carry, or null when the conversation or user message does not
+  // exist.
+  rewindConversation(conversationId, messageId) {
+    const conversation = this.getConversation(conversationId);
+    const plan = conversation ? planRewind(conversation.messages, conversation.modelHistory, messageId) : null;
+    if (!plan) {
+      return null;
+    }
+
+    // Full tool results stay: the archived versions still point at them.
+    this.db.transaction(() => {
+      plan.removedMessageIds.forEach(id => {
+        this.statements.deleteMessage.run(id);
+        this.statements.deleteMessageSearchRowsById.run(id);
+      });
+      this.statements.upsertHistory.run(conversationId, JSON.stringify(plan.modelHistory));
+      this._touchConversation(conversationId);
+    })();
+
+    return { versions: plan.versions };
+  }
+
+  appendMessage(conversationId, message) {
+    if (!this._findConversation(conversationId)) {
+      throw new Error('Conversation not found');
+    }
+
+    const entry = normalizeMessage(message);
+
+    if (!entry) {
+      throw new Error('Invalid message payload');
+    }
+
+    if (entry.role === 'error') {
+      return deepClone(entry);
+    }
+
+    this.db.transaction(() => {
+      collectFullToolResults(entry, message).forEach(({ toolCallId, result }) => {
+        this.statements.upsertToolResult.run(conversationId, toolCallId, JSON.stringify(result ?? null));
+      });
+      this._insertMessage(conversationId, entry);
+      this._touchConversation(conversationId);
+    })();
+
+    return deepClone(entry);
+  }
+
+  setModelHistory(conversationId, history) {
+    if (!this._findConversation(conversationId)) {
+      throw new Error('Conversation not found');
+    }
+
+    this.db.transaction(() => {
+      this.statements.upsertHistory.run(conversationId, JSON.stringify(Array.isArray(history) ? history : []));
+      this._touchConversation(conversationId);
+    })();
+  }
+
+  getModelHistory(conversationId) {
+    const history = conversationId ? this.statements.selectHistory.get(conversationId) : null;
+    return history ? JSON.parse(history.history) : [];
+  }
+
+  // Returns the tool call with its full result, even when the stored message
+  // only keeps a truncated preview of it.
+  getToolCall(conversationId, toolCallId) {
+    if (!this._findConversation(conversationId)) {
+      return null;
+    }
+
+    const found = findToolCall(this.statements.selectMessages.all(conversationId).map(toMessage), toolCallId);
+    if (!found) {
+      return null;
+    }
+
+    const toolCall = found.toolCall;
+    if (toolCall.resultTruncated) {
+      const stored = this.statements.selectToolResult.get(conversationId, toolCallId);
+      if (stored) {
+        toolCall.result = JSON.parse(stored.result);
+        delete toolCall.resultTruncated;
+      }
+    }
+    return { messageId: found.message.id, toolCall };
+  }
+
+  // Full-text search over titles, message content and tool-call SQL, ranked
+  // by FTS5's bm25 with the most recently updated conversation first on ties.
+  searchConversations(query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    const terms = parseSearchTerms(query);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const hits = this.statements.searchIndex.all(toFtsQuery(terms), MAX_SEARCH_ROWS).map(row => ({
+      conversation: { id: row.conversation_id, title: row.title, updatedAt: row.updated_at },
+      match: {
+        messageId: row.message_id || null,
+        field: row.field,
+        role: row.role || null,
+        timestamp: row.timestamp || null,
+        ...readMarkedSnippet(row.snippet)
+      }
+    }));
+    return groupSearchHits(hits, { limit });
+  }
+}
@@ -0,0 +1,204 @@
+// Keeps the stored Gemini history small enough to resend on every turn. Older
+// turns lose bulky tool payloads and inline attachments but keep their
+// function calls (and with them the SQL) plus a preview of each result. If the
+// history is still over its token budget, the oldest turns are folded into a
+// summary entry at the start of the history.
+
+const DEFAULT_HISTORY_COMPACTION = {
+  tokenBudget: 60000,
+  keepRecentTurns: 2,
+  previewRows: 3,
+  maxToolResponseChars: 2000
+};
+const SUMMARY_MARKER = '[EARLIER_CONVERSATION_SUMMARY]';
+const SUMMARY_ACKNOWLEDGEMENT = 'Noted. I will use this summary of the earlier conversation.';
+// Per-turn hint blocks the agent appends to user messages; they only matter for the turn they were sent with.
+const TURN_HINT_BLOCKS = /\n\n\[(ROUTING_HINT|RESPONSE_FORMAT|WGSN_CONTEXT|WGSN_ATTACHMENTS|WGSN_SUMMARY|MOODBOARD_GENERATION_TASK|MOODBOARD_PAYLOAD)\][\s\S]*?\[\/\1\](\n[^\n]+)?/g;
+const MAX_SUMMARY_FIGURES = 5;
+// The agent wraps format-correction prompts in this block. They are sent as user
+// entries but continue the turn they correct, so they never start a new one.
+export const FORMAT_CORRECTION_BLOCK = 'FORMAT_CORRECTION';
+// Histories stored before the block existed carry the bare prompt.
+const LEGACY_CORRECTION_PREFIX = 'Your previous response did not follow the required Markdown template';
+
+// Roughly four characters per token; used when a provider reports no usage.
+// Inline attachments are left out so a PDF's base64 does not swamp the budget.
+export function estimateTokens(contents) {
+  const serialized = JSON.stringify(contents, (key, value) => (key === 'inlineData' ? undefined : value));
+  return Math.ceil((serialized?.length || 0) / 4);
+}
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars)}…` : text;
+}
+
+function singleLine(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function isCorrectionPrompt(text) {
+  return text.startsWith(`[${FORMAT_CORRECTION_BLOCK}]`) || text.startsWith(LEGACY_CORRECTION_PREFIX);
+}
+
+function isTurnStart(content) {
+  return content?.role === 'user' &&
+    (content.parts || []).some(part => typeof part.text === 'string' && !isCorrectionPrompt(part.text));
+}
+
+function splitTurns(history) {
+  const turns = [];
+  history.forEach(content => {
+    if (isTurnStart(content) || turns.length === 0) {
+      turns.push([]);
+    }
+    turns[turns.length - 1].push(content);
+  });
+  return turns;
+}
+
+function readTurnText(turn, role) {
+  return turn
+    .filter(content => content.role === role)
+    .map(content => (content.parts || [])
+      .filter(part => typeof part.text === 'string')
+      .map(part => part.text)
+      .join(''))
+    .filter(Boolean);
+}
+
+// Row results keep their shape and first rows; anything else that is too
+// large becomes a truncated JSON preview. Small responses are left untouched.
+function digestToolResponse(response, { previewRows, maxToolResponseChars }) {
+  if (!response || response.compacted) {
+    return response;
+  }
+
+  const serialized = JSON.stringify(response);
+  if (serialized.length <= maxToolResponseChars) {
+    return response;
+  }
+  if (response.error) {
+    return { error: truncate(String(response.error), maxToolResponseChars) };
+  }
+
+  const result = response.result;
+  if (Array.isArray(result?.rows)) {
+    return {
+      compacted: true,
+      result: {
+        rowCount: result.pagination?.totalRows ?? result.rows.length,
+        columns: result.pagination?.columns ?? Object.keys(result.rows[0] || {}),
+        previewRows: result.rows.slice(0, previewRows)
+      }
+    };
+  }
+
+  return { compacted: true, preview: truncate(serialized, maxToolResponseChars) };
+}
+
+function stripPart(part, settings) {
+  if (part.inlineData) {
+    return { text: `[Attachment removed from history: ${part.inlineData.displayName || part.inlineData.mimeType}]` };
+  }
+  if (part.functionResponse) {
+    return {
+      functionResponse: {
+        ...part.functionResponse,
+        response: digestToolResponse(part.functionResponse.response, settings)
+      }
+    };
+  }
+  return part;
+}
+
+function stripTurn(turn, settings) {
+  return turn.map(content => ({
+    ...content,
+    parts: (content.parts || []).map(part => {
+      const stripped = stripPart(part, settings);
+      return content.role === 'user' && typeof stripped.text === 'string'
+        ? { ...stripped, text: stripped.text.replace(TURN_HINT_BLOCKS, '') }
+        : stripped;
+    })
+  }));
+}
+
+// An extractive summary: the question, every query the turn ran and the
+// answer's opening plus its lines that carry figures.
+function summarizeTurn(turn) {
+  const question = turn[0]?.parts?.find(part => typeof part.text === 'string')?.text || '';
+  const answers = readTurnText(turn, 'model');
+  const answer = answers[answers.length - 1] || '';
+  const calls = turn
+    .flatMap(content => (content.role === 'model' ? content.parts || [] : []))
+    .filter(part => part.functionCall)
+    .map(part => part.functionCall);
+
+  const lines = [`- User: ${truncate(singleLine(question.replace(TURN_HINT_BLOCKS, '')), 300)}`];
+  calls.forEach(call => {
+    lines.push(typeof call.args?.query === 'string'
+      ? `  SQL (${call.name}): ${truncate(singleLine(call.args.query), 600)}`
+      : `  Tool: ${call.name}(${truncate(JSON.stringify(call.args || {}), 200)})`);
+  });
+  if (answer) {
+    lines.push(`  Answer: ${truncate(singleLine(answer), 300)}`);
+    answer
+      .split('\n')
+      .filter(line => /\d/.test(line))
+      .slice(0, MAX_SUMMARY_FIGURES)
+      .forEach(line => lines.push(`  Figure: ${truncate(singleLine(line), 200)}`));
+  }
+  return lines.join('\n');
+}
+
+function readSummaryBlocks(turn) {
+  const [text = ''] = readTurnText(turn, 'user');
+  return text
+    .slice(SUMMARY_MARKER.length)
+    .split('\n\n')
+    .map(block => block.trim())
+    .filter(Boolean);
+}
+
+function buildSummaryEntries(summaryBlocks) {
+  if (summaryBlocks.length === 0) {
+    return [];
+  }
+  return [
+    { role: 'user', parts: [{ text: [SUMMARY_MARKER, ...summaryBlocks].join('\n\n') }] },
+    { role: 'model', parts: [{ text: SUMMARY_ACKNOWLEDGEMENT }] }
+  ];
+}
+
+// Returns a compacted copy of `history`; the input is not modified. Whole turns
+// are kept or folded, so function calls always stay next to their responses.
+export function compactHistory(history, options = {}) {
+  const settings = { ...DEFAULT_HISTORY_COMPACTION, ...options };
+  let turns = splitTurns(Array.isArray(history) ? history : []);
+  const summaryBlocks = [];
+
+  if (readTurnText(turns[0] || [], 'user')[0]?.startsWith(SUMMARY_MARKER)) {
+    summaryBlocks.push(...readSummaryBlocks(turns.shift()));
+  }
+
+  const keepRecentTurns = Math.max(0, settings.keepRecentTurns);
+  let olderTurns = Math.max(0, turns.length - keepRecentTurns);
+  turns = turns.map((turn, index) => (index < olderTurns ? stripTurn(turn, settings) : turn));
+
+  const build = () => [...buildSummaryEntries(summaryBlocks), ...turns.flat()];
+  const overBudget = () => settings.tokenBudget > 0 && estimateTokens(build()) > settings.tokenBudget;
+
+  while (olderTurns > 0 && overBudget()) {
+    summaryBlocks.push(summarizeTurn(turns.shift()));
+    olderTurns -= 1;
+  }
+  // Recent turns are only stripped, never summarized, and only as a last resort.
+  if (overBudget()) {
+    turns = turns.map(turn => stripTurn(turn, settings));
+  }
+  while (summaryBlocks.length > 0 && overBudget()) {
+    summaryBlocks.shift();
+  }
+
+  return build();
+}
@@ -4,9 +4,13 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { mkdirSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
 import { WebSocketServer, WebSocket } from 'ws';
-import { Agent } from './agent.js';
-import { ConversationStore } from './conversationStore.js';
+import { Agent, RateLimitExhaustedError, TurnCancelledError } from './agent.js';
+import { createConversationStore } from './conversationStore/index.js';
+import { getMcpToolRegistry } from './mcpClient.js';
+import { RecordingHarness, saveAgentFixture } from './agentReplay.js';
+import { createLlmProvider, getDefaultLlmProfileName, hasLlmProfile, listLlmProfiles } from './llm/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -24,29 +28,34 @@ const moodboardDir = join(__dirname, '../generated/moodboards');
 mkdirSync(moodboardDir, { recursive: true });
 app.use('/api/moodboards', express.static(moodboardDir));
 
-const conversationStorePath = join(__dirname, '../data/conversations.json');
-const conversationStore = new ConversationStore(conversationStorePath);
+const conversationStore = createConversationStore(join(__dirname, '../data'));
+
+// When set, every chat turn is recorded as a replayable fixture (see agentReplay.js).
+const agentRecordDir = process.env.AGENT_RECORD_DIR
+  ? join(__dirname, '..', process.env.AGENT_RECORD_DIR)
+  : null;
 
 let servicesReady = false;
-let geminiApiKey = null;
 let projectId = null;
 
 async function initializeServices() {
   try {
     projectId = process.env.GCP_PROJECT_ID;
-    geminiApiKey = process.env.GEMINI_API_KEY;
 
     if (!projectId) {
       throw new Error('GCP_PROJECT_ID environment variable is required');
     }
 
-    if (!geminiApiKey) {
-      throw new Error('GEMINI_API_KEY environment variable is required');
-    }
+    // Fails fast when the deployment's default profile is missing its API key or base URL.
+    const defaultProvider = createLlmProvider();
+    console.log(`🧠 Default LLM profile: ${defaultProvider.name} (${defaultProvider.label})`);
 
     console.log('🔐 Using Google Cloud Application Default Credentials');
     console.log('   Make sure you have authenticated with: gcloud auth application-default login');
 
+    // Unreachable MCP servers are retried on the next chat turn, so this never blocks startup.
+    await getMcpToolRegistry().connect();
+
     servicesReady = true;
     console.log('✓ Agentic services initialized');
   } catch (error) {
@@ -72,26 +81,214 @@ function ensureConversationId(conversationId) {
   return conversation.id;
 }
 
-async function runConversationTurn({ conversationId, messageText, streamCallback = null }) {
+// In-flight turns by conversation id, so a turn can be cancelled from another
+// request or WebSocket message.
+const activeTurns = new Map();
+
+// Turns on the same conversation run one at a time, in arrival order, so each
+// turn loads the history the previous one saved instead of overwriting it.
+// The entry for a conversation exists while a turn holds it; `waiting` lists
+// the turns queued behind it.
+const turnQueues = new Map();
+
+class TurnInProgressError extends Error {
+  constructor(conversationId, queueLength) {
+    super('A turn is already in progress for this conversation. Retry later or send with queueing enabled.');
+    this.name = 'TurnInProgressError';
+    this.code = 'TURN_IN_PROGRESS';
+    this.conversationId = conversationId;
+    this.queueLength = queueLength;
+  }
+}
+
+class MessageNotEditableError extends Error {
+  constructor(conversationId, messageId) {
+    super('Only a user message in this conversation can be edited or regenerated');
+    this.name = 'MessageNotEditableError';
+    this.code = 'MESSAGE_NOT_EDITABLE';
+    this.conversationId = conversationId;
+    this.messageId = messageId;
+  }
+}
+
+class NothingToRegenerateError extends Error {
+  constructor(conversationId) {
+    super('This conversation has no question to regenerate an answer for');
+    this.name = 'NothingToRegenerateError';
+    this.code = 'NOTHING_TO_REGENERATE';
+    this.conversationId = conversationId;
+  }
+}
+
+// Resolves with the 1-based queue position the turn started from (0 when it
+// did not wait). With `wait: false` a busy conversation throws instead.
+function acquireConversationTurn(conversationId, { wait = true, onQueued = null } = {}) {
+  const queue = turnQueues.get(conversationId);
+  if (!queue) {
+    turnQueues.set(conversationId, { waiting: [] });
+    return Promise.resolve(0);
+  }
+  if (!wait) {
+    return Promise.reject(new TurnInProgressError(conversationId, queue.waiting.length + 1));
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { position: queue.waiting.length + 1, onQueued, resolve, reject };
+    queue.waiting.push(waiter);
+    onQueued?.(waiter.position);
+  });
+}
+
+function releaseConversationTurn(conversationId) {
+  const queue = turnQueues.get(conversationId);
+  const next = queue?.waiting.shift();
+  if (!next) {
+    turnQueues.delete(conversationId);
+    return;
+  }
+
+  queue.waiting.forEach((waiter, index) => waiter.onQueued?.(index + 1));
+  next.resolve(next.position);
+}
+
+// Cancelling stops the running turn and drops every turn queued behind it.
+async function cancelConversationTurn(conversationId) {
+  const queued = turnQueues.get(conversationId)?.waiting.splice(0) || [];
+  queued.forEach(waiter => waiter.reject(new TurnCancelledError()));
+
+  const turn = activeTurns.get(conversationId);
+  if (!turn) {
+    return queued.length > 0;
+  }
+
+  turn.controller.abort();
+  const cancelledRequests = await getMcpToolRegistry().cancelRequests(turn.cancellationTag);
+  console.log(`⏹  Cancelled turn in conversation ${conversationId} (${cancelledRequests} running tool calls stopped, ${queued.length} queued turns dropped)`);
+  return true;
+}
+
+// Reset and delete replace the whole conversation, so they cancel the running
+// turn and every turn queued behind it, then take the slot themselves: the
+// cancelled turn finishes writing before `change` runs. The queue is joined
+// before cancelConversationTurn first awaits, so no new turn can slip in between.
+async function withConversationCleared(conversationId, change) {
+  const cancelled = cancelConversationTurn(conversationId);
+  const slot = acquireConversationTurn(conversationId);
+  await cancelled;
+  await slot;
+  try {
+    return change();
+  } finally {
+    releaseConversationTurn(conversationId);
+  }
+}
+
+// Waits for the conversation's turn slot, then runs the turn. A turn cancelled
+// while still queued never reaches the store and comes back without messages.
+// `replaceMessageId` names an earlier user message to edit or regenerate: the
+// conversation is rewound to just before it once the turn holds the slot.
+// `regenerate` asks the conversation's last question again instead.
+async function runConversationTurn({ conversationId, messageText = null, streamCallback = null, queue = true, replaceMessageId = null, regenerate = false }) {
   const targetConversationId = ensureConversationId(conversationId);
-  const agent = new Agent(geminiApiKey, streamCallback);
+  const queuedAt = Date.now();
+  let queuePosition;
+  try {
+    queuePosition = await acquireConversationTurn(targetConversationId, {
+      wait: queue,
+      onQueued: streamCallback
+        ? position => streamCallback({ type: 'queued', position })
+        : null
+    });
+  } catch (err) {
+    if (err instanceof TurnCancelledError) {
+      return {
+        conversationId: targetConversationId,
+        response: { text: err.message, toolCalls: [], cancelled: true, attachments: [], payload: null },
+        userMessage: null,
+        assistantMessage: null,
+        queue: { position: null, waitedMs: Date.now() - queuedAt }
+      };
+    }
+    throw err;
+  }
+
+  try {
+    if (queuePosition > 0) {
+      streamCallback?.({ type: 'turn_started', waitedMs: Date.now() - queuedAt });
+    }
+    const result = await executeConversationTurn({
+      conversationId: targetConversationId,
+      messageText,
+      streamCallback,
+      replaceMessageId,
+      regenerate
+    });
+    return {
+      ...result,
+      queue: queuePosition > 0 ? { position: queuePosition, waitedMs: Date.now() - queuedAt } : null
+    };
+  } finally {
+    releaseConversationTurn(targetConversationId);
+  }
+}
+
+async function executeConversationTurn({ conversationId: targetConversationId, messageText, streamCallback, replaceMessageId, regenerate }) {
+  // The conversation may have been deleted while this turn waited for its slot.
+  const conversation = conversationStore.getConversation(targetConversationId);
+  if (!conversation) {
+    throw new Error('Conversation not found');
+  }
+  // Picked only now that the slot is held, so a turn that finished while this
+  // one waited is the one answered again.
+  if (regenerate) {
+    const lastQuestion = [...conversation.messages].reverse().find(message => message.role === 'user');
+    if (!lastQuestion) {
+      throw new NothingToRegenerateError(targetConversationId);
+    }
+    messageText = lastQuestion.content;
+    replaceMessageId = lastQuestion.id;
+  }
+  const llmProvider = createLlmProvider(conversation?.llmProfile);
+  const recorder = agentRecordDir
+    ? new RecordingHarness({ llmProvider, toolRegistry: getMcpToolRegistry() })
+    : null;
+  const agent = recorder
+    ? recorder.attachTo(new Agent(recorder.llmProvider, streamCallback, recorder.toolRegistry))
+    : new Agent(llmProvider, streamCallback);
+
+  // Rewind only once the provider and agent are set up, so a setup failure
+  // leaves the replaced messages and their versions in place.
+  const rewind = replaceMessageId ? conversationStore.rewindConversation(targetConversationId, replaceMessageId) : null;
+  if (replaceMessageId && !rewind) {
+    throw new MessageNotEditableError(targetConversationId, replaceMessageId);
+  }
 
   const history = conversationStore.getModelHistory(targetConversationId);
   agent.loadConversationHistory(history);
+  recorder?.setInput({ userMessage: messageText, history });
 
   const userMessage = conversationStore.appendMessage(targetConversationId, {
     role: 'user',
-    content: messageText
+    content: messageText,
+    versions: rewind?.versions
   });
 
   let assistantMessage = null;
+  const turn = { controller: new AbortController(), cancellationTag: randomUUID() };
+  activeTurns.set(targetConversationId, turn);
 
   try {
-    const response = await agent.chat(messageText);
+    const response = await agent.chat(messageText, {
+      signal: turn.controller.signal,
+      cancellationTag: turn.cancellationTag
+    });
+    recorder?.setOutput(response);
     assistantMessage = conversationStore.appendMessage(targetConversationId, {
       role: 'assistant',
       content: response.text,
       toolCalls: response.toolCalls,
+      routingSuggestion: response.routingSuggestion,
+      formatValidation: response.formatValidation,
       attachments: response.attachments || [],
       payload: response.payload || null
     });
@@ -103,6 +300,34 @@ async function runConversationTurn({ conversationId, messageText, streamCallback
       assistantMessage
     };
   } catch (err) {
+    recorder?.setError(err);
+
+    if (!conversationStore.hasConversation(targetConversationId)) {
+      throw err;
+    }
+
+    if (err instanceof TurnCancelledError) {
+      const response = {
+        text: err.message,
+        toolCalls: err.toolCalls,
+        cancelled: true,
+        attachments: [],
+        payload: null
+      };
+      assistantMessage = conversationStore.appendMessage(targetConversationId, {
+        role: 'assistant',
+        content: response.text,
+        toolCalls: response.toolCalls,
+        cancelled: true
+      });
+      return {
+        conversationId: targetConversationId,
+        response,
+        userMessage,
+        assistantMessage
+      };
+    }
+
     const errorEntry = conversationStore.appendMessage(targetConversationId, {
       role: 'error',
       content: err?.message || 'An error occurred processing your request'
@@ -113,8 +338,19 @@ async function runConversationTurn({ conversationId, messageText, streamCallback
     normalizedError.historyEntry = errorEntry;
     throw normalizedError;
   } finally {
-    const snapshot = agent.getConversationHistorySnapshot();
-    conversationStore.setModelHistory(targetConversationId, snapshot);
+    if (activeTurns.get(targetConversationId) === turn) {
+      activeTurns.delete(targetConversationId);
+    }
+
+    if (conversationStore.hasConversation(targetConversationId)) {
+      conversationStore.setModelHistory(targetConversationId, agent.getConversationHistorySnapshot());
+    }
+
+    if (recorder) {
+      const fixturePath = join(agentRecordDir, `${recorder.fixture.recordedAt.replace(/[:.]/g, '-')}-${targetConversationId}.json`);
+      saveAgentFixture(fixturePath, recorder.fixture);
+      console.log(`📼 Recorded agent turn to ${fixturePath}`);
+    }
   }
 }
 
@@ -122,10 +358,20 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     initialized: servicesReady,
+    mcpServers: getMcpToolRegistry().describe(),
+    llmProfile: getDefaultLlmProfileName(),
     timestamp: new Date().toISOString()
   });
 });
 
+app.get('/api/llm/profiles', (req, res) => {
+  res.json({
+    success: true,
+    defaultProfile: getDefaultLlmProfileName(),
+    profiles: listLlmProfiles()
+  });
+});
+
 app.get('/api/conversations', (req, res) => {
   res.json({
     success: true,
@@ -135,8 +381,15 @@ app.get('/api/conversations', (req, res) => {
 });
 
 app.post('/api/conversations', (req, res) => {
-  const { title } = req.body || {};
-  const conversation = conversationStore.createConversation(title);
+  const { title, llmProfile } = req.body || {};
+
+  if (llmProfile && !hasLlmProfile(llmProfile)) {
+    return res.status(400).json({
+      error: `Unknown LLM profile: ${llmProfile}`
+    });
+  }
+
+  const conversation = conversationStore.createConversation(title, { llmProfile });
 
   res.status(201).json({
     success: true,
@@ -144,6 +397,23 @@ app.post('/api/conversations', (req, res) => {
   });
 });
 
+// Registered before /:conversationId so "search" is not taken for an id.
+app.get('/api/conversations/search', (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!query) {
+    return res.status(400).json({
+      error: 'Query parameter q is required'
+    });
+  }
+
+  const limit = Number.parseInt(req.query.limit, 10);
+  res.json({
+    success: true,
+    query,
+    results: conversationStore.searchConversations(query, Number.isInteger(limit) && limit > 0 ? { limit } : {})
+  });
+});
+
 app.get('/api/conversations/:conversationId', (req, res) => {
   const { conversationId } = req.params;
   if (!conversationStore.hasConversation(conversationId)) {
@@ -159,9 +429,33 @@ app.get('/api/conversations/:conversationId', (req, res) => {
   });
 });
 
+// Full tool result for auditing; stored messages may only keep a preview.
+app.get('/api/conversations/:conversationId/tool-calls/:toolCallId', (req, res) => {
+  const { conversationId, toolCallId } = req.params;
+  if (!conversationStore.hasConversation(conversationId)) {
+    return res.status(404).json({
+      error: 'Conversation not found'
+    });
+  }
+
+  const found = conversationStore.getToolCall(conversationId, toolCallId);
+  if (!found) {
+    return res.status(404).json({
+      error: 'Tool call not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    conversationId,
+    messageId: found.messageId,
+    toolCall: found.toolCall
+  });
+});
+
 app.patch('/api/conversations/:conversationId', (req, res) => {
   const { conversationId } = req.params;
-  const { title } = req.body || {};
+  const { title, llmProfile } = req.body || {};
 
   if (!conversationStore.hasConversation(conversationId)) {
     return res.status(404).json({
@@ -169,14 +463,26 @@ app.patch('/api/conversations/:conversationId', (req, res) => {
     });
   }
 
-  const conversation = conversationStore.renameConversation(conversationId, title);
+  if (llmProfile && !hasLlmProfile(llmProfile)) {
+    return res.status(400).json({
+      error: `Unknown LLM profile: ${llmProfile}`
+    });
+  }
+
+  if (llmProfile !== undefined) {
+    conversationStore.setLlmProfile(conversationId, llmProfile || null);
+  }
+
+  const conversation = title !== undefined
+    ? conversationStore.renameConversation(conversationId, title)
+    : conversationStore.getConversation(conversationId);
   res.json({
     success: true,
     conversation
   });
 });
 
-app.delete('/api/conversations/:conversationId', (req, res) => {
+app.delete('/api/conversations/:conversationId', async (req, res) => {
   const { conversationId } = req.params;
 
   if (!conversationStore.hasConversation(conversationId)) {
@@ -185,7 +491,9 @@ app.delete('/api/conversations/:conversationId', (req, res) => {
     });
   }
 
-  const nextConversation = conversationStore.deleteConversation(conversationId);
+  const nextConversation = await withConversationCleared(conversationId, () =>
+    conversationStore.deleteConversation(conversationId)
+  );
   res.json({
     success: true,
     nextConversationId: nextConversation?.id || null,
@@ -193,7 +501,7 @@ app.delete('/api/conversations/:conversationId', (req, res) => {
   });
 });
 
-app.post('/api/conversations/:conversationId/reset', (req, res) => {
+app.post('/api/conversations/:conversationId/reset', async (req, res) => {
   const { conversationId } = req.params;
 
   if (!conversationStore.hasConversation(conversationId)) {
@@ -202,13 +510,128 @@ app.post('/api/conversations/:conversationId/reset', (req, res) => {
     });
   }
 
-  const conversation = conversationStore.resetConversation(conversationId);
+  const conversation = await withConversationCleared(conversationId, () =>
+    conversationStore.resetConversation(conversationId)
+  );
   res.json({
     success: true,
     conversation
   });
 });
 
+// Starts a new conversation from the messages (and matching model history) up
+// to `messageId`, leaving the original untouched.
+app.post('/api/conversations/:conversationId/fork', (req, res) => {
+  const { conversationId } = req.params;
+  const { messageId, title } = req.body || {};
+
+  if (!conversationStore.hasConversation(conversationId)) {
+    return res.status(404).json({
+      error: 'Conversation not found'
+    });
+  }
+
+  if (!messageId || typeof messageId !== 'string') {
+    return res.status(400).json({
+      error: 'messageId is required and must be a string'
+    });
+  }
+
+  const fork = conversationStore.forkConversation(conversationId, messageId, {
+    title: typeof title === 'string' ? title : undefined
+  });
+  if (!fork) {
+    return res.status(404).json({
+      error: 'Message not found in this conversation'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    conversation: fork.conversation,
+    draft: fork.draft,
+    forkedFrom: { conversationId, messageId }
+  });
+});
+
+app.post('/api/conversations/:conversationId/cancel', async (req, res) => {
+  const { conversationId } = req.params;
+
+  if (!conversationStore.hasConversation(conversationId)) {
+    return res.status(404).json({
+      error: 'Conversation not found'
+    });
+  }
+
+  if (!(await cancelConversationTurn(conversationId))) {
+    return res.status(409).json({
+      error: 'No turn is in progress for this conversation',
+      conversationId
+    });
+  }
+
+  res.json({
+    success: true,
+    conversationId,
+    cancelled: true
+  });
+});
+
+function sendChatResult(res, result) {
+  res.json({
+    success: true,
+    conversationId: result.conversationId,
+    response: result.response.text,
+    toolCalls: result.response.toolCalls,
+    attachments: result.response.attachments || [],
+    routingSuggestion: result.response.routingSuggestion,
+    formatValidation: result.response.formatValidation,
+    budget: result.response.budget,
+    fallback: result.response.fallback || null,
+    cancelled: Boolean(result.response.cancelled),
+    payload: result.response.payload || null,
+    queue: result.queue,
+    userMessage: result.userMessage,
+    messageId: result.assistantMessage?.id || null,
+    timestamp: result.assistantMessage?.timestamp || new Date().toISOString()
+  });
+}
+
+function sendChatError(res, error) {
+  if (error instanceof TurnInProgressError) {
+    return res.status(409).json({
+      error: error.message,
+      code: error.code,
+      conversationId: error.conversationId,
+      queueLength: error.queueLength
+    });
+  }
+
+  if (error instanceof MessageNotEditableError) {
+    return res.status(404).json({
+      error: error.message,
+      code: error.code,
+      conversationId: error.conversationId,
+      messageId: error.messageId
+    });
+  }
+
+  if (error instanceof NothingToRegenerateError) {
+    return res.status(409).json({
+      error: error.message,
+      code: error.code,
+      conversationId: error.conversationId
+    });
+  }
+
+  console.error('Chat error:', error);
+  res.status(error instanceof RateLimitExhaustedError ? 429 : 500).json({
+    error: error.message || 'An error occurred processing your request',
+    code: error.code || null,
+    conversationId: error.conversationId || null
+  });
+}
+
 app.post('/api/chat', async (req, res) => {
   if (!servicesReady) {
     return res.status(503).json({
@@ -216,7 +639,7 @@ app.post('/api/chat', async (req, res) => {
     });
   }
 
-  const { message, conversationId } = req.body || {};
+  const { message, conversationId, queue = true, replaceMessageId = null } = req.body || {};
 
   if (!message || typeof message !== 'string') {
     return res.status(400).json({
@@ -224,6 +647,12 @@ app.post('/api/chat', async (req, res) => {
     });
   }
 
+  if (typeof queue !== 'boolean') {
+    return res.status(400).json({
+      error: 'queue must be a boolean'
+    });
+  }
+
   const trimmedMessage = message.trim();
   if (!trimmedMessage) {
     return res.status(400).json({
@@ -231,6 +660,12 @@ app.post('/api/chat', async (req, res) => {
     });
   }
 
+  if (replaceMessageId !== null && (typeof replaceMessageId !== 'string' || !conversationId)) {
+    return res.status(400).json({
+      error: 'replaceMessageId must be a message id and needs a conversationId'
+    });
+  }
+
   if (conversationId && !conversationStore.hasConversation(conversationId)) {
     return res.status(404).json({
       error: 'Conversation not found'
@@ -240,30 +675,47 @@ app.post('/api/chat', async (req, res) => {
   try {
     const result = await runConversationTurn({
       conversationId,
-      messageText: trimmedMessage
+      messageText: trimmedMessage,
+      queue,
+      replaceMessageId
     });
+    sendChatResult(res, result);
+  } catch (error) {
+    sendChatError(res, error);
+  }
+});
 
-    res.json({
-      success: true,
-      conversationId: result.conversationId,
-      response: result.response.text,
-      toolCalls: result.response.toolCalls,
-      attachments: result.response.attachments || [],
-      routingSuggestion: result.response.routingSuggestion,
-      formatValidation: result.response.formatValidation,
-      payload: result.response.payload || null,
-      timestamp: result.assistantMessage.timestamp
+// Asks the last question again; the answers it replaces are kept as an
+// earlier version of that question.
+app.post('/api/conversations/:conversationId/regenerate', async (req, res) => {
+  if (!servicesReady) {
+    return res.status(503).json({
+      error: 'Service not initialized. Check server logs.'
     });
-  } catch (error) {
-    console.error('Chat error:', error);
-    res.status(500).json({
-      error: error.message || 'An error occurred processing your request',
-      conversationId: error.conversationId || null
+  }
+
+  const { conversationId } = req.params;
+  const { queue = true } = req.body || {};
+
+  if (!conversationStore.hasConversation(conversationId)) {
+    return res.status(404).json({
+      error: 'Conversation not found'
+    });
+  }
+
+  try {
+    const result = await runConversationTurn({
+      conversationId,
+      queue: queue !== false,
+      regenerate: true
     });
+    sendChatResult(res, result);
+  } catch (error) {
+    sendChatError(res, error);
   }
 });
 
-app.post('/api/reset', (req, res) => {
+app.post('/api/reset', async (req, res) => {
   if (!servicesReady) {
     return res.status(503).json({
       error: 'Service not initialized'
@@ -280,7 +732,7 @@ app.post('/api/reset', (req, res) => {
 
   try {
     const targetId = ensureConversationId(conversationId);
-    const conversation = conversationStore.resetConversation(targetId);
+    const conversation = await withConversationCleared(targetId, () => conversationStore.resetConversation(targetId));
 
     res.json({
       success: true,
@@ -331,10 +783,15 @@ async function startServer() {
       console.log(`  GET    /api/health                    - Health check`);
       console.log(`  GET    /api/conversations             - List conversations`);
       console.log(`  POST   /api/conversations             - Create a conversation`);
+      console.log(`  GET    /api/conversations/search?q=   - Search conversations`);
       console.log(`  GET    /api/conversations/:id         - Fetch a conversation`);
+      console.log(`  GET    /api/conversations/:id/tool-calls/:toolCallId - Full tool call result`);
       console.log(`  PATCH  /api/conversations/:id         - Rename a conversation`);
       console.log(`  DELETE /api/conversations/:id         - Delete a conversation`);
       console.log(`  POST   /api/conversations/:id/reset   - Clear a conversation`);
+      console.log(`  POST   /api/conversations/:id/fork    - Branch a conversation at a message`);
+      console.log(`  POST   /api/conversations/:id/cancel  - Stop the running and queued turns`);
+      console.log(`  POST   /api/conversations/:id/regenerate - Answer the last question again`);
       console.log(`  POST   /api/chat                      - Send a message`);
       console.log(`  POST   /api/reset                     - Reset (compat alias)`);
       console.log(`  GET    /api/history                   - Model history snapshot\n`);
@@ -361,6 +818,18 @@ async function startServer() {
         const rawMessage = parsed?.message;
         const candidateConversationId = parsed?.conversationId;
 
+        if (parsed?.type === 'cancel') {
+          const cancelled = candidateConversationId
+            ? await cancelConversationTurn(candidateConversationId)
+            : false;
+          ws.send(JSON.stringify({
+            type: 'cancel_ack',
+            cancelled,
+            conversationId: candidateConversationId || null
+          }));
+          return;
+        }
+
         if (!rawMessage || typeof rawMessage !== 'string') {
           ws.send(JSON.stringify({
             error: 'Message is required and must be a string',
@@ -393,6 +862,8 @@ async function startServer() {
           const result = await runConversationTurn({
             conversationId: targetConversationId,
             messageText: trimmedMessage,
+            queue: parsed?.queue !== false,
+            replaceMessageId: typeof parsed?.replaceMessageId === 'string' ? parsed.replaceMessageId : null,
             streamCallback: (chunk) => {
               if (ws.readyState === WebSocket.OPEN) {
                 ws.send(JSON.stringify({ ...chunk, conversationId: targetConversationId }));
@@ -403,6 +874,8 @@ async function startServer() {
           if (ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify({
               final_response: result.response,
+              userMessage: result.userMessage,
+              messageId: result.assistantMessage?.id || null,
               conversationId: targetConversationId
             }));
           }
@@ -410,6 +883,8 @@ async function startServer() {
           if (ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify({
               error: error.message || 'An error occurred processing your request',
+              code: error.code || null,
+              queueLength: error.queueLength,
               conversationId: error.conversationId || targetConversationId || null
             }));
           }
@@ -0,0 +1,77 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+function readCandidateParts(response) {
+  return response?.candidates?.[0]?.content?.parts ?? [];
+}
+
+function readUsage(response) {
+  const usage = response?.usageMetadata;
+  return usage
+    ? {
+        promptTokens: usage.promptTokenCount ?? 0,
+        completionTokens: usage.candidatesTokenCount ?? 0,
+        totalTokens: usage.totalTokenCount ?? 0
+      }
+    : null;
+}
+
+function readText(parts) {
+  return parts
+    .filter(part => typeof part.text === 'string')
+    .map(part => part.text)
+    .join('');
+}
+
+// Thin wrapper over the Gemini chat session. History, parts and stream chunks
+// already use the Gemini content format the rest of the backend speaks.
+class GeminiChatSession {
+  constructor(chat) {
+    this.chat = chat;
+  }
+
+  async sendMessageStream(parts, { signal = null } = {}) {
+    const result = await this.chat.sendMessageStream(parts, signal ? { signal } : {});
+    return {
+      stream: result.stream,
+      response: result.response.then(response => {
+        const responseParts = readCandidateParts(response);
+        return { parts: responseParts, text: readText(responseParts), usage: readUsage(response) };
+      })
+    };
+  }
+
+  async sendMessage(parts, { signal = null } = {}) {
+    const result = await this.chat.sendMessage(parts, signal ? { signal } : {});
+    const responseParts = readCandidateParts(result.response);
+    return { parts: responseParts, text: readText(responseParts), usage: readUsage(result.response) };
+  }
+}
+
+export class GeminiProvider {
+  constructor({ name, label, model, temperature, apiKey, systemPrompt, limits = {}, retryPolicy = {}, historyCompaction = {} }) {
+    if (!apiKey) {
+      throw new Error(`LLM profile "${name}" requires a Gemini API key.`);
+    }
+
+    this.name = name;
+    this.label = label || model;
+    this.model = model;
+    this.temperature = temperature;
+    this.systemPrompt = systemPrompt;
+    this.limits = limits;
+    this.retryPolicy = retryPolicy;
+    this.historyCompaction = historyCompaction;
+    this.genAI = new GoogleGenerativeAI(apiKey);
+  }
+
+  startChat({ history = [], functionDeclarations = [] } = {}) {
+    const model = this.genAI.getGenerativeModel({
+      model: this.model,
+      tools: functionDeclarations.length > 0 ? [{ functionDeclarations }] : undefined,
+      systemInstruction: this.systemPrompt,
+      generationConfig: typeof this.temperature === 'number' ? { temperature: this.temperature } : undefined
+    });
+
+    return new GeminiChatSession(model.startChat({ history }));
+  }
+}
@@ -0,0 +1,127 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { GeminiProvider } from './geminiProvider.js';
+import { OpenAiCompatibleProvider } from './openAiCompatibleProvider.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../../config/llm.json');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  'openai-compatible': OpenAiCompatibleProvider
+};
+
+function resolveConfigPath() {
+  return process.env.LLM_CONFIG_PATH
+    ? path.resolve(__dirname, '../..', process.env.LLM_CONFIG_PATH)
+    : DEFAULT_CONFIG_PATH;
+}
+
+// Read on every call so prompt and profile edits apply to the next chat turn
+// without restarting the backend.
+function loadLlmConfig() {
+  const configPath = resolveConfigPath();
+  const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+  return { ...config, configDir: path.dirname(configPath) };
+}
+
+function fromEnv(envName, fallback) {
+  return (envName && process.env[envName]) || fallback;
+}
+
+const LIMIT_ENV_VARS = {
+  maxToolRounds: 'AGENT_MAX_TOOL_ROUNDS',
+  turnTimeoutSeconds: 'AGENT_TURN_TIMEOUT_SECONDS',
+  turnTokenBudget: 'AGENT_TURN_TOKEN_BUDGET',
+  maxParallelToolCalls: 'AGENT_MAX_PARALLEL_TOOL_CALLS'
+};
+
+const RETRY_ENV_VARS = {
+  maxAttempts: 'AGENT_RATE_LIMIT_MAX_ATTEMPTS',
+  deadlineSeconds: 'AGENT_RATE_LIMIT_DEADLINE_SECONDS'
+};
+
+const HISTORY_ENV_VARS = {
+  tokenBudget: 'AGENT_HISTORY_TOKEN_BUDGET'
+};
+
+// Numeric agent settings: the config-wide block (`limits`, `retry` or
+// `history`), then the profile's own block of the same name, then
+// environment variables. 0 disables a limit.
+function resolveSettings(config, profile, key, envVars) {
+  const settings = { ...(config[key] || {}), ...(profile[key] || {}) };
+  Object.entries(envVars).forEach(([setting, envName]) => {
+    const value = Number(process.env[envName]);
+    if (process.env[envName] && Number.isFinite(value) && value >= 0) {
+      settings[setting] = value;
+    }
+  });
+  return settings;
+}
+
+export function getDefaultLlmProfileName() {
+  const config = loadLlmConfig();
+  return process.env.LLM_PROFILE || config.defaultProfile || Object.keys(config.profiles || {})[0] || null;
+}
+
+export function listLlmProfiles() {
+  const config = loadLlmConfig();
+  const defaultProfile = getDefaultLlmProfileName();
+  return Object.entries(config.profiles || {}).map(([name, profile]) => ({
+    name,
+    label: profile.label || name,
+    provider: profile.provider,
+    model: fromEnv(profile.modelEnv, profile.model),
+    fallbackProfile: profile.fallbackProfile || null,
+    isDefault: name === defaultProfile
+  }));
+}
+
+export function hasLlmProfile(name) {
+  return Boolean(loadLlmConfig().profiles?.[name]);
+}
+
+// Builds the provider for a named profile from config/llm.json, falling back
+// to LLM_PROFILE or the config's defaultProfile when no name is given. A
+// profile's `fallbackProfile` is built alongside it as `provider.fallback`;
+// fallbacks do not chain.
+export function createLlmProvider(profileName = null, { withFallback = true } = {}) {
+  const config = loadLlmConfig();
+  const name = profileName || getDefaultLlmProfileName();
+  const profile = config.profiles?.[name];
+
+  if (!profile) {
+    throw new Error(`Unknown LLM profile "${name}". Check ${path.relative(process.cwd(), resolveConfigPath())}.`);
+  }
+
+  const Provider = PROVIDERS[profile.provider];
+  if (!Provider) {
+    throw new Error(`LLM profile "${name}" uses unsupported provider "${profile.provider}".`);
+  }
+
+  const systemPromptFile = profile.systemPromptFile || config.systemPromptFile;
+  const systemPrompt = profile.systemPrompt ?? (systemPromptFile
+    ? readFileSync(path.resolve(config.configDir, systemPromptFile), 'utf-8').trim()
+    : undefined);
+
+  const provider = new Provider({
+    ...profile,
+    name,
+    model: fromEnv(profile.modelEnv, profile.model),
+    baseUrl: fromEnv(profile.baseUrlEnv, profile.baseUrl),
+    apiKey: fromEnv(profile.apiKeyEnv, profile.apiKey),
+    systemPrompt,
+    limits: resolveSettings(config, profile, 'limits', LIMIT_ENV_VARS),
+    retryPolicy: resolveSettings(config, profile, 'retry', RETRY_ENV_VARS),
+    historyCompaction: resolveSettings(config, profile, 'history', HISTORY_ENV_VARS)
+  });
+
+  const fallbackName = withFallback ? profile.fallbackProfile : null;
+  provider.fallback = fallbackName && fallbackName !== name
+    ? createLlmProvider(fallbackName, { withFallback: false })
+    : null;
+  return provider;
+}
@@ -0,0 +1,317 @@
+function toModelChunk(parts) {
+  return { candidates: [{ content: { role: 'model', parts } }] };
+}
+
+function readText(parts) {
+  return parts
+    .filter(part => typeof part.text === 'string')
+    .map(part => part.text)
+    .join('');
+}
+
+function readUsage(usage) {
+  return usage
+    ? {
+        promptTokens: usage.prompt_tokens ?? 0,
+        completionTokens: usage.completion_tokens ?? 0,
+        totalTokens: usage.total_tokens ?? 0
+      }
+    : null;
+}
+
+function parseArguments(raw) {
+  if (!raw) {
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return { _raw: raw };
+  }
+}
+
+// Gemini-style inline attachments become content parts. Images are widely
+// supported; PDFs use the `file` part, which local servers often reject, so
+// profiles can replace them with a short note instead.
+function toUserContentPart(part, { supportsFileParts }) {
+  if (typeof part.text === 'string') {
+    return { type: 'text', text: part.text };
+  }
+
+  const inlineData = part.inlineData;
+  if (!inlineData?.data) {
+    return null;
+  }
+
+  const dataUrl = `data:${inlineData.mimeType};base64,${inlineData.data}`;
+  if (String(inlineData.mimeType).startsWith('image/')) {
+    return { type: 'image_url', image_url: { url: dataUrl } };
+  }
+  if (!supportsFileParts) {
+    return { type: 'text', text: `[Attachment omitted: ${inlineData.mimeType} is not supported by this model]` };
+  }
+  return { type: 'file', file: { filename: inlineData.displayName || 'attachment.pdf', file_data: dataUrl } };
+}
+
+// Converts Gemini content history (user/model/function roles with parts) into
+// chat completion messages. Gemini function calls carry no ids, so ids are
+// derived from their position and matched to the following function responses.
+function toChatMessages(history, { systemPrompt, supportsFileParts }) {
+  const messages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  let pendingCalls = [];
+
+  history.forEach((content, contentIndex) => {
+    const parts = Array.isArray(content?.parts) ? content.parts : [];
+
+    if (content.role === 'model') {
+      const calls = parts.filter(part => part.functionCall);
+      pendingCalls = calls.map((part, callIndex) => ({
+        id: `call_${contentIndex}_${callIndex}`,
+        name: part.functionCall.name
+      }));
+      const text = readText(parts);
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        ...(calls.length > 0
+          ? {
+              tool_calls: calls.map((part, callIndex) => ({
+                id: pendingCalls[callIndex].id,
+                type: 'function',
+                function: {
+                  name: part.functionCall.name,
+                  arguments: JSON.stringify(part.functionCall.args || {})
+                }
+              }))
+            }
+          : {})
+      });
+      return;
+    }
+
+    const functionResponses = parts.filter(part => part.functionResponse);
+    if (content.role === 'function' || functionResponses.length > 0) {
+      functionResponses.forEach(({ functionResponse }) => {
+        const index = pendingCalls.findIndex(call => call.name === functionResponse.name);
+        const call = index === -1 ? null : pendingCalls.splice(index, 1)[0];
+        messages.push({
+          role: 'tool',
+          tool_call_id: call?.id || `call_${contentIndex}_${functionResponse.name}`,
+          content: JSON.stringify(functionResponse.response ?? {})
+        });
+      });
+      return;
+    }
+
+    const contentParts = parts.map(part => toUserContentPart(part, { supportsFileParts })).filter(Boolean);
+    const textOnly = contentParts.every(part => part.type === 'text');
+    messages.push({
+      role: 'user',
+      content: textOnly ? contentParts.map(part => part.text).join('\n\n') : contentParts
+    });
+  });
+
+  return messages;
+}
+
+function toTools(functionDeclarations) {
+  return functionDeclarations.map(declaration => ({
+    type: 'function',
+    function: {
+      name: declaration.name,
+      description: declaration.description,
+      parameters: declaration.parameters
+    }
+  }));
+}
+
+function toModelParts(text, toolCalls) {
+  const parts = text ? [{ text }] : [];
+  toolCalls
+    .filter(call => call?.function?.name)
+    .forEach(call => {
+      parts.push({ functionCall: { name: call.function.name, args: parseArguments(call.function.arguments) } });
+    });
+  return parts;
+}
+
+// Errors keep the HTTP status and any Retry-After hint in the fields the
+// agent's rate-limit handling already reads from Gemini errors.
+async function toRequestError(response, label) {
+  let detail = '';
+  try {
+    const body = await response.json();
+    detail = body?.error?.message || JSON.stringify(body);
+  } catch {
+    detail = response.statusText;
+  }
+
+  const error = new Error(`${label} request failed (${response.status}): ${detail}`);
+  error.status = response.status;
+  error.statusText = response.statusText;
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    error.errorDetails = [{ retryDelay: `${retryAfter}s` }];
+  }
+  return error;
+}
+
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') {
+        return;
+      }
+      yield JSON.parse(data);
+    }
+  }
+}
+
+class OpenAiCompatibleChatSession {
+  constructor(provider, { history, functionDeclarations }) {
+    this.provider = provider;
+    this.history = JSON.parse(JSON.stringify(history));
+    this.tools = toTools(functionDeclarations);
+  }
+
+  toContent(parts) {
+    const isFunctionResponse = parts.some(part => part.functionResponse);
+    return { role: isFunctionResponse ? 'function' : 'user', parts };
+  }
+
+  async request(parts, { stream, signal }) {
+    const pendingHistory = [...this.history, this.toContent(parts)];
+    const response = await this.provider.createChatCompletion({
+      messages: toChatMessages(pendingHistory, this.provider),
+      tools: this.tools,
+      stream,
+      signal
+    });
+    // Like the Gemini SDK, the turn only enters history once the request succeeds.
+    this.history = pendingHistory;
+    return response;
+  }
+
+  async sendMessageStream(parts, { signal = null } = {}) {
+    const response = await this.request(parts, { stream: true, signal });
+    let resolveResponse;
+    let rejectResponse;
+    const completed = new Promise((resolve, reject) => {
+      resolveResponse = resolve;
+      rejectResponse = reject;
+    });
+    completed.catch(() => {});
+
+    const session = this;
+    async function* stream() {
+      let text = '';
+      let usage = null;
+      const toolCalls = [];
+
+      try {
+        for await (const event of readServerSentEvents(response.body)) {
+          usage = readUsage(event?.usage) || usage;
+          const delta = event?.choices?.[0]?.delta;
+          if (!delta) {
+            continue;
+          }
+          if (delta.content) {
+            text += delta.content;
+            yield toModelChunk([{ text: delta.content }]);
+          }
+          (delta.tool_calls || []).forEach(callDelta => {
+            const index = callDelta.index ?? toolCalls.length;
+            const call = toolCalls[index] || { function: { name: '', arguments: '' } };
+            call.function.name += callDelta.function?.name || '';
+            call.function.arguments += callDelta.function?.arguments || '';
+            toolCalls[index] = call;
+          });
+        }
+
+        const parts = toModelParts(text, toolCalls);
+        const calls = parts.filter(part => part.functionCall);
+        if (calls.length > 0) {
+          yield toModelChunk(calls);
+        }
+        session.history.push({ role: 'model', parts });
+        resolveResponse({ parts, text, usage });
+      } catch (error) {
+        rejectResponse(error);
+        throw error;
+      }
+    }
+
+    return { stream: stream(), response: completed };
+  }
+
+  async sendMessage(parts, { signal = null } = {}) {
+    const response = await this.request(parts, { stream: false, signal });
+    const body = await response.json();
+    const message = body?.choices?.[0]?.message || {};
+    const modelParts = toModelParts(message.content || '', message.tool_calls || []);
+    this.history.push({ role: 'model', parts: modelParts });
+    return { parts: modelParts, text: readText(modelParts), usage: readUsage(body?.usage) };
+  }
+}
+
+// Talks to any server exposing the OpenAI chat completions API (OpenAI,
+// vLLM, Ollama, llama.cpp, LM Studio) using plain fetch.
+export class OpenAiCompatibleProvider {
+  constructor({ name, label, model, temperature, apiKey, baseUrl, systemPrompt, limits = {}, retryPolicy = {}, historyCompaction = {}, supportsFileParts = true }) {
+    if (!baseUrl) {
+      throw new Error(`LLM profile "${name}" requires a baseUrl.`);
+    }
+
+    this.name = name;
+    this.label = label || model;
+    this.model = model;
+    this.temperature = temperature;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.systemPrompt = systemPrompt;
+    this.limits = limits;
+    this.retryPolicy = retryPolicy;
+    this.historyCompaction = historyCompaction;
+    this.supportsFileParts = supportsFileParts;
+  }
+
+  startChat({ history = [], functionDeclarations = [] } = {}) {
+    return new OpenAiCompatibleChatSession(this, { history, functionDeclarations });
+  }
+
+  async createChatCompletion({ messages, tools, stream, signal = null }) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        ...(tools.length > 0 ? { tools } : {}),
+        ...(typeof this.temperature === 'number' ? { temperature: this.temperature } : {}),
+        stream,
+        // Usage arrives in a final chunk; servers that ignore this leave token budgets estimated.
+        ...(stream ? { stream_options: { include_usage: true } } : {})
+      })
+    });
+
+    if (!response.ok) {
+      throw await toRequestError(response, this.label);
+    }
+    return response;
+  }
+}
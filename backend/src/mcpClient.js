@@ -0,0 +1,309 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '../config/mcp_servers.json');
+const RECONNECT_COOLDOWN_MS = 10000;
+const GEMINI_SCALAR_TYPES = new Set(['string', 'number', 'integer', 'boolean']);
+const GEMINI_FUNCTION_NAME_MAX_LENGTH = 64;
+// Tools the backend calls itself; they are never offered to the model.
+const CANCEL_REQUESTS_TOOL = 'cancel_requests';
+const CONTROL_TOOLS = new Set([CANCEL_REQUESTS_TOOL]);
+// _meta key servers read to group calls for cancel_requests (see mcp-server/src/requestCancellation.js).
+const CANCELLATION_TAG_META_KEY = 'ftf/cancellationTag';
+// run_forecast and large BigQuery jobs outlast the SDK's 60 s request timeout.
+const DEFAULT_TOOL_CALL_TIMEOUT_SECONDS = 600;
+
+function resolveToolCallTimeoutMs() {
+  const seconds = Number(process.env.MCP_TOOL_CALL_TIMEOUT_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_TOOL_CALL_TIMEOUT_SECONDS) * 1000;
+}
+
+function loadServerConfig(configPath) {
+  const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+  return (config.servers || [])
+    .filter(server => server?.name && server.enabled !== false)
+    .map(server => ({
+      ...server,
+      url: (server.urlEnv && process.env[server.urlEnv]) || server.url
+    }));
+}
+
+function toFunctionName(prefix, toolName) {
+  return `${prefix || ''}${toolName}`
+    .replace(/[^A-Za-z0-9_.-]/g, '_')
+    .replace(/^[^A-Za-z_]/, '_')
+    .slice(0, GEMINI_FUNCTION_NAME_MAX_LENGTH);
+}
+
+// Gemini function declarations accept a small OpenAPI subset: no unions,
+// no free-form maps and no numeric bounds. Unions collapse to their first
+// non-null branch, bounds move into the description, and properties that
+// cannot be expressed (e.g. record types) are dropped by returning null.
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants)) {
+    const concrete = variants.filter(variant => variant?.type !== 'null');
+    const converted = concrete.length > 0 ? toGeminiSchema({ description: schema.description, ...concrete[0] }) : null;
+    return converted && concrete.length < variants.length ? { ...converted, nullable: true } : converted;
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(entry => entry && entry !== 'null');
+  const nullable = types.includes('null');
+  const bounds = [
+    schema.minimum !== undefined ? `minimum ${schema.minimum}` : null,
+    schema.exclusiveMinimum !== undefined ? `greater than ${schema.exclusiveMinimum}` : null,
+    schema.maximum !== undefined ? `maximum ${schema.maximum}` : null
+  ].filter(Boolean);
+  const description = [schema.description, bounds.length ? `(${bounds.join(', ')})` : null].filter(Boolean).join(' ');
+
+  const base = {
+    ...(description ? { description } : {}),
+    ...(nullable ? { nullable: true } : {})
+  };
+
+  if (GEMINI_SCALAR_TYPES.has(type)) {
+    return {
+      type,
+      ...base,
+      ...(type === 'string' && Array.isArray(schema.enum) ? { enum: schema.enum.map(String) } : {})
+    };
+  }
+
+  if (type === 'array') {
+    const items = toGeminiSchema(schema.items);
+    return items ? { type: 'array', items, ...base } : null;
+  }
+
+  if (type === 'object') {
+    const properties = {};
+    Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+      const converted = toGeminiSchema(propertySchema);
+      if (converted) {
+        properties[name] = converted;
+      }
+    });
+    if (Object.keys(properties).length === 0 && schema.additionalProperties) {
+      return null;
+    }
+    return {
+      type: 'object',
+      ...base,
+      properties,
+      required: (schema.required || []).filter(name => properties[name])
+    };
+  }
+
+  return null;
+}
+
+export function toFunctionDeclaration(name, tool) {
+  return {
+    name,
+    description: tool.description || tool.title || tool.name,
+    parameters: toGeminiSchema(tool.inputSchema) || { type: 'object', properties: {}, required: [] }
+  };
+}
+
+function readToolResult(result) {
+  const text = (result.content || [])
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+
+  if (result.isError) {
+    throw new Error(text || 'Tool call failed.');
+  }
+  if (result.structuredContent !== undefined) {
+    return result.structuredContent;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { text };
+  }
+}
+
+// Connects to the MCP servers listed in config/mcp_servers.json, discovers
+// their tools via tools/list and routes Gemini function calls back to the
+// server that owns each tool.
+export class McpToolRegistry {
+  constructor(configPath = process.env.MCP_SERVERS_CONFIG_PATH
+    ? path.resolve(__dirname, '..', process.env.MCP_SERVERS_CONFIG_PATH)
+    : DEFAULT_CONFIG_PATH) {
+    this.configPath = configPath;
+    this.connections = new Map();
+    this.tools = new Map();
+    this.lastAttemptAt = new Map();
+  }
+
+  async connect() {
+    const servers = loadServerConfig(this.configPath);
+    await Promise.all(servers.map(server => this.connectServer(server)));
+    return this.describe();
+  }
+
+  // Reconnects servers that were unreachable, at most once per cooldown, so a
+  // backend started before its MCP servers picks their tools up later.
+  async ensureConnected() {
+    const servers = loadServerConfig(this.configPath);
+    const now = Date.now();
+    const pending = servers.filter(server =>
+      !this.connections.has(server.name) &&
+      now - (this.lastAttemptAt.get(server.name) || 0) >= RECONNECT_COOLDOWN_MS
+    );
+    await Promise.all(pending.map(server => this.connectServer(server)));
+  }
+
+  async connectServer(server) {
+    this.lastAttemptAt.set(server.name, Date.now());
+
+    try {
+      const client = new Client({ name: 'ftf-backend', version: '1.0.0' });
+      const transport = new StreamableHTTPClientTransport(new URL(server.url), {
+        requestInit: server.headers ? { headers: server.headers } : undefined
+      });
+      await client.connect(transport);
+
+      const discovered = [];
+      let cursor;
+      do {
+        const page = await client.listTools(cursor ? { cursor } : undefined);
+        discovered.push(...page.tools);
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      this.connections.set(server.name, {
+        server,
+        client,
+        supportsCancellation: discovered.some(tool => tool.name === CANCEL_REQUESTS_TOOL)
+      });
+      this.registerTools(server, discovered);
+      console.log(`✓ MCP server "${server.name}" connected (${discovered.length} tools)`);
+    } catch (error) {
+      this.connections.delete(server.name);
+      console.warn(`✗ MCP server "${server.name}" unavailable at ${server.url}: ${error.message}`);
+    }
+  }
+
+  registerTools(server, discovered) {
+    const excluded = new Set(server.excludeTools || []);
+
+    for (const [name, entry] of this.tools) {
+      if (entry.serverName === server.name) {
+        this.tools.delete(name);
+      }
+    }
+
+    discovered
+      .filter(tool => !excluded.has(tool.name) && !CONTROL_TOOLS.has(tool.name))
+      .forEach(tool => {
+        const name = toFunctionName(server.toolPrefix, tool.name);
+        const existing = this.tools.get(name);
+        if (existing) {
+          console.warn(`Skipping MCP tool "${tool.name}" from "${server.name}": "${name}" is already provided by "${existing.serverName}". Set a toolPrefix to expose both.`);
+          return;
+        }
+        this.tools.set(name, {
+          serverName: server.name,
+          toolName: tool.name,
+          declaration: toFunctionDeclaration(name, tool)
+        });
+      });
+  }
+
+  getFunctionDeclarations() {
+    return Array.from(this.tools.values()).map(entry => entry.declaration);
+  }
+
+  hasTool(name) {
+    return this.tools.has(name);
+  }
+
+  // `signal` rejects the call when aborted; `cancellationTag` lets cancelRequests
+  // stop the work (e.g. a BigQuery job) the call started on the server.
+  async callTool(name, args = {}, { signal = null, cancellationTag = null } = {}) {
+    const entry = this.tools.get(name);
+    if (!entry) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    const connection = this.connections.get(entry.serverName);
+    if (!connection) {
+      throw new Error(`MCP server "${entry.serverName}" for tool ${name} is not connected.`);
+    }
+
+    try {
+      const result = await connection.client.callTool(
+        {
+          name: entry.toolName,
+          arguments: args || {},
+          ...(cancellationTag ? { _meta: { [CANCELLATION_TAG_META_KEY]: cancellationTag } } : {})
+        },
+        undefined,
+        {
+          ...(signal ? { signal } : {}),
+          timeout: resolveToolCallTimeoutMs(),
+          resetTimeoutOnProgress: true
+        }
+      );
+      return readToolResult(result);
+    } catch (error) {
+      // Transport failures mean the server went away; drop it so the next turn reconnects.
+      if (/fetch failed|ECONNREFUSED|socket/i.test(error?.message || '')) {
+        this.connections.delete(entry.serverName);
+      }
+      throw error;
+    }
+  }
+
+  async cancelRequests(cancellationTag) {
+    const connections = Array.from(this.connections.values()).filter(connection => connection.supportsCancellation);
+    const results = await Promise.all(connections.map(async ({ server, client }) => {
+      try {
+        const result = await client.callTool({ name: CANCEL_REQUESTS_TOOL, arguments: { cancellationTag } });
+        return readToolResult(result).cancelled || 0;
+      } catch (error) {
+        console.warn(`Failed to cancel requests on MCP server "${server.name}": ${error.message}`);
+        return 0;
+      }
+    }));
+    return results.reduce((total, count) => total + count, 0);
+  }
+
+  describe() {
+    return Array.from(this.connections.values()).map(({ server }) => ({
+      name: server.name,
+      url: server.url,
+      tools: Array.from(this.tools.entries())
+        .filter(([, entry]) => entry.serverName === server.name)
+        .map(([name]) => name)
+    }));
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.connections.values()).map(({ client }) => client.close().catch(() => {})));
+    this.connections.clear();
+    this.tools.clear();
+  }
+}
+
+let sharedRegistry = null;
+
+export function getMcpToolRegistry() {
+  if (!sharedRegistry) {
+    sharedRegistry = new McpToolRegistry();
+  }
+  return sharedRegistry;
+}
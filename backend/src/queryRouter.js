@@ -51,6 +51,13 @@ function keywordMatches(queryForms, keyword) {
   return keywordTokens.every(token => queryTokenSet.has(token));
 }
 
+function sortTablesByPriority(tables, maxTables) {
+  return (tables || [])
+    .slice()
+    .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity))
+    .slice(0, maxTables);
+}
+
 export function getQueryRoutingSuggestion(userQuery) {
   const config = loadConfig();
   const fallbackBehavior = config.fallback_behavior || {};
@@ -110,10 +117,7 @@ export function getQueryRoutingSuggestion(userQuery) {
     };
   }
 
-  const sortedTables = (bestMatch.mapping.tables || [])
-    .slice()
-    .sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity))
-    .slice(0, maxTables);
+  const sortedTables = sortTablesByPriority(bestMatch.mapping.tables, maxTables);
 
   return {
     queryType: bestMatch.mapping.query_type,
@@ -125,3 +129,71 @@ export function getQueryRoutingSuggestion(userQuery) {
     responseSchema: getResponseSchema(bestMatch.mapping.query_type)
   };
 }
+
+// Builds the suggestion for an explicitly chosen query type (e.g. an MCP prompt),
+// skipping keyword matching. Unknown types fall back to the default tables.
+export function getRoutingSuggestionForQueryType(queryType) {
+  const config = loadConfig();
+  const fallbackBehavior = config.fallback_behavior || {};
+  const maxTables = Math.max(1, config.max_tables_per_query || 3);
+  const mapping = (config.query_mappings || []).find(entry => entry.query_type === queryType);
+
+  if (!mapping) {
+    return {
+      queryType: null,
+      confidence: 0,
+      tables: (fallbackBehavior.default_tables || []).slice(0, maxTables).map(tableId => ({
+        dataset: 'nextwave',
+        table: tableId,
+        priority: null,
+        reason: 'Fallback default table'
+      })),
+      matchedKeywords: [],
+      fallbackApplied: true,
+      fallbackBehavior,
+      responseSchema: getResponseSchema(queryType)
+    };
+  }
+
+  return {
+    queryType: mapping.query_type,
+    confidence: 1,
+    tables: sortTablesByPriority(mapping.tables, maxTables),
+    matchedKeywords: [],
+    fallbackApplied: false,
+    fallbackBehavior,
+    responseSchema: getResponseSchema(mapping.query_type)
+  };
+}
+
+export function formatRoutingHint(suggestion) {
+  if (!suggestion) {
+    return '';
+  }
+
+  const confidence = typeof suggestion.confidence === 'number' ? suggestion.confidence : 0;
+  const lines = [];
+
+  if (suggestion.queryType) {
+    lines.push(`Query type match: ${suggestion.queryType}`);
+  } else {
+    lines.push('Query type match: none');
+  }
+
+  lines.push(`Routing confidence: ${confidence.toFixed(2)}`);
+
+  if (suggestion.tables && suggestion.tables.length > 0) {
+    lines.push('Recommended tables (in priority order):');
+    for (const table of suggestion.tables) {
+      const priorityText = table.priority !== null && table.priority !== undefined ? `priority ${table.priority}` : 'default priority';
+      const reasonText = table.reason ? ` - ${table.reason}` : '';
+      lines.push(`- ${table.dataset}.${table.table} (${priorityText})${reasonText}`);
+    }
+  }
+
+  if (suggestion.fallbackApplied) {
+    lines.push(`Fallback applied (${suggestion.fallbackBehavior?.action || 'unspecified action'})`);
+  }
+
+  return lines.join('\n');
+}
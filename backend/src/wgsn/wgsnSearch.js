@@ -1,6 +1,7 @@
-import { listReports, resolveStorePath } from './wgsnStore.js';
+import { getReportById, listReports, resolveStorePath } from './wgsnStore.js';
 
 const DEFAULT_RESULT_LIMIT = 5;
+const MAX_PAGES_PER_REQUEST = 10;
 
 function tokenize(text) {
   return text
@@ -168,3 +169,39 @@ export async function listWgsnReportsMetadata(options = {}) {
     chunkCount: Array.isArray(report.chunks) ? report.chunks.length : 0
   }));
 }
+
+export async function getWgsnReportPages(reportId, options = {}) {
+  if (!reportId || typeof reportId !== 'string') {
+    throw new Error('getWgsnReportPages requires a report id.');
+  }
+
+  const storePath = resolveStorePath(options.storePath);
+  const report = await getReportById(reportId, storePath);
+  if (!report) {
+    return null;
+  }
+
+  const lastPage = report.numPages || Infinity;
+  const startPage = Math.min(Math.max(options.startPage ?? 1, 1), lastPage);
+  const requestedEnd = Math.max(options.endPage ?? startPage, startPage);
+  const endPage = Math.min(requestedEnd, startPage + MAX_PAGES_PER_REQUEST - 1, lastPage);
+
+  const chunks = (report.chunks || [])
+    .filter(chunk => chunk.startPage <= endPage && (chunk.endPage ?? chunk.startPage) >= startPage)
+    .map(chunk => ({
+      chunkId: chunk.id,
+      startPage: chunk.startPage,
+      endPage: chunk.endPage,
+      text: chunk.text
+    }));
+
+  return {
+    reportId: report.id,
+    reportTitle: report.title,
+    numPages: report.numPages,
+    startPage,
+    endPage,
+    truncated: endPage < requestedEnd,
+    chunks
+  };
+}
@@ -4,6 +4,10 @@ import remarkGfm from 'remark-gfm';
 import './App.css';
 
 const MOODBOARD_TRIGGER = 'MOODBOARD_RA';
+const RATE_LIMIT_NOTICE_SECONDS = 8;
+const SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_HIT_HIGHLIGHT_MS = 2000;
+const SEARCH_FIELD_LABELS = { title: 'Title', content: 'Message', sql: 'SQL' };
 const SAMPLE_RA = {
   id: 'RA-001',
   brand: 'Zara',
@@ -135,6 +139,60 @@ const extractLatestMoodboardFromMessages = (messageList) => {
   return null;
 };
 
+// Swaps the optimistic entries of a finished turn for the stored ones, so new
+// messages get their ids (and an edited question its earlier versions).
+const applyStoredTurn = (messageList, userMessage, messageId) => {
+  const next = [...messageList];
+  const last = next[next.length - 1];
+  if (messageId && last?.role === 'assistant') {
+    next[next.length - 1] = { ...last, id: messageId };
+  }
+  if (userMessage) {
+    const userIndex = next.map(entry => entry.role).lastIndexOf('user');
+    if (userIndex !== -1) {
+      next[userIndex] = userMessage;
+    }
+  }
+  return next;
+};
+
+// A question that was edited or regenerated keeps its earlier versions, each
+// with the answers it got. Viewing one swaps it in for the rest of the thread.
+const applyVersionSelection = (messageList, versionSelection) => {
+  const index = messageList.findIndex(entry => (
+    entry.role === 'user'
+    && entry.versions?.length
+    && versionSelection[entry.id] !== undefined
+    && versionSelection[entry.id] < entry.versions.length
+  ));
+  if (index === -1) {
+    return messageList;
+  }
+
+  const current = messageList[index];
+  const [question, ...answers] = current.versions[versionSelection[current.id]].messages;
+  return [
+    ...messageList.slice(0, index),
+    { ...question, id: current.id, versions: current.versions, archived: true },
+    ...answers.map(entry => ({ ...entry, archived: true }))
+  ];
+};
+
+// Search snippets arrive as plain text plus [start, end) ranges to highlight.
+const renderSearchSnippet = (snippet, highlights = []) => {
+  const pieces = [];
+  let cursor = 0;
+  highlights.forEach(([start, end], idx) => {
+    if (start > cursor) {
+      pieces.push(snippet.slice(cursor, start));
+    }
+    pieces.push(<mark key={idx}>{snippet.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  pieces.push(snippet.slice(cursor));
+  return pieces;
+};
+
 function App() {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
@@ -145,16 +203,24 @@ function App() {
   const [debugStream, setDebugStream] = useState([]);
   const [isStreamVisible, setIsStreamVisible] = useState(true);
   const [rateLimitInfo, setRateLimitInfo] = useState(null);
+  const [queuedTurn, setQueuedTurn] = useState(null);
   const [conversations, setConversations] = useState([]);
   const [conversationsLoading, setConversationsLoading] = useState(true);
   const [messagesLoading, setMessagesLoading] = useState(false);
   const [activeConversationId, setActiveConversationId] = useState(null);
   const [loadingConversationId, setLoadingConversationId] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [pendingSearchHit, setPendingSearchHit] = useState(null);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [versionSelection, setVersionSelection] = useState({});
+  const [editingMessage, setEditingMessage] = useState(null);
   const messagesEndRef = useRef(null);
   const ws = useRef(null);
   const activeConversationRef = useRef(null);
 
   const activeConversation = conversations.find(convo => convo.id === activeConversationId) || null;
+  const displayedMessages = applyVersionSelection(messages, versionSelection);
   const isActiveConversationLoading = Boolean(
     loadingConversationId && loadingConversationId === activeConversationId
   );
@@ -179,12 +245,72 @@ function App() {
     scrollToBottom();
   }, [messages]);
 
+  // Runs after the scroll-to-bottom above so a search hit wins once its conversation has loaded.
+  useEffect(() => {
+    if (!pendingSearchHit || pendingSearchHit.conversationId !== activeConversationId || messagesLoading) {
+      return;
+    }
+
+    const element = pendingSearchHit.messageId
+      ? document.getElementById(`message-${pendingSearchHit.messageId}`)
+      : null;
+    if (pendingSearchHit.messageId && !element) {
+      return;
+    }
+
+    setPendingSearchHit(null);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setHighlightedMessageId(pendingSearchHit.messageId);
+    }
+  }, [messages, messagesLoading, pendingSearchHit, activeConversationId]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timeout = setTimeout(() => setHighlightedMessageId(null), SEARCH_HIT_HIGHLIGHT_MS);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId]);
+
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/conversations/search?q=${encodeURIComponent(query)}`, {
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          throw new Error(`Search failed: ${response.statusText}`);
+        }
+        const data = await response.json();
+        setSearchResults(data.results || []);
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Failed to search conversations:', error);
+          setSearchResults([]);
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [searchQuery]);
+
   useEffect(() => {
     activeConversationRef.current = activeConversationId;
   }, [activeConversationId]);
 
   useEffect(() => {
     setDebugStream([]);
+    setVersionSelection({});
+    setEditingMessage(null);
   }, [activeConversationId]);
 
   useEffect(() => {
@@ -236,14 +362,29 @@ function App() {
 
           if (messageConversationId) {
             setLoadingConversationId(prev => (prev === messageConversationId ? null : prev));
+            setQueuedTurn(prev => (prev?.conversationId === messageConversationId ? null : prev));
           }
           return;
         }
 
+        // Another tab or client is mid-turn on this conversation; ours waits behind it.
+        if (message.type === 'queued') {
+          setQueuedTurn({ conversationId: messageConversationId, position: message.position });
+          return;
+        }
+
+        if (message.type === 'turn_started') {
+          setQueuedTurn(prev => (prev?.conversationId === messageConversationId ? null : prev));
+          return;
+        }
+
         if (message.type === 'rate_limit') {
           if (isForActiveConversation) {
+            // Fallback and give-up notices carry no countdown; show them briefly instead.
+            const retryIn = message.payload?.retryIn;
             setRateLimitInfo({
-              retryIn: message.payload?.retryIn,
+              retryIn: retryIn ?? RATE_LIMIT_NOTICE_SECONDS,
+              countdown: retryIn !== null && retryIn !== undefined,
               message: message.payload?.message,
               startTime: Date.now()
             });
@@ -251,7 +392,15 @@ function App() {
           return;
         }
 
+        if (message.type === 'cancel_ack') {
+          if (isForActiveConversation) {
+            setDebugStream(prev => [...prev, createDebugEntry('cancel', message)]);
+          }
+          return;
+        }
+
         if (message.final_response) {
+          setQueuedTurn(prev => (prev?.conversationId === messageConversationId ? null : prev));
           if (!isForActiveConversation) {
             if (messageConversationId) {
               setLoadingConversationId(prev => (prev === messageConversationId ? null : prev));
@@ -281,6 +430,7 @@ function App() {
                   toolCalls: finalResponse.toolCalls,
                   attachments: finalResponse.attachments,
                   payload: finalResponse.payload,
+                  cancelled: Boolean(finalResponse.cancelled),
                   timestamp: finalResponse.timestamp || new Date().toISOString()
                 }
               ];
@@ -294,6 +444,7 @@ function App() {
               toolCalls: finalResponse.toolCalls,
               attachments: finalResponse.attachments,
               payload: finalResponse.payload,
+              cancelled: Boolean(finalResponse.cancelled),
               timestamp: finalResponse.timestamp || new Date().toISOString()
             };
 
@@ -306,7 +457,7 @@ function App() {
               next.push(assistantEntry);
             }
 
-            return next;
+            return applyStoredTurn(next, message.userMessage, message.messageId);
           });
 
           if (moodboardPayload) {
@@ -501,7 +652,9 @@ function App() {
     return () => clearInterval(interval);
   }, [rateLimitInfo?.startTime]);
 
-  const sendChatMessage = useCallback(async (messageText) => {
+  // `replaceMessageId` edits or regenerates an earlier question: the thread is
+  // cut there and the server keeps what it replaces as an earlier version.
+  const sendChatMessage = useCallback(async (messageText, { replaceMessageId = null } = {}) => {
     if (!messageText) {
       return;
     }
@@ -527,7 +680,9 @@ function App() {
     };
 
     const websocketReady = ws.current && ws.current.readyState === WebSocket.OPEN;
-    const requestPayload = { message: trimmedMessage, conversationId };
+    const requestPayload = replaceMessageId
+      ? { message: trimmedMessage, conversationId, replaceMessageId }
+      : { message: trimmedMessage, conversationId };
 
     if (websocketReady) {
       setDebugStream([createDebugEntry('request', { message: trimmedMessage, conversationId })]);
@@ -540,7 +695,8 @@ function App() {
         return prev;
       }
 
-      const next = [...prev, userEntry];
+      const replaceIndex = replaceMessageId ? prev.findIndex(entry => entry.id === replaceMessageId) : -1;
+      const next = [...(replaceIndex === -1 ? prev : prev.slice(0, replaceIndex)), userEntry];
       if (websocketReady) {
         next.push({
           role: 'assistant',
@@ -584,6 +740,7 @@ function App() {
           toolCalls: data.toolCalls,
           attachments: data.attachments,
           payload: data.payload,
+          cancelled: Boolean(data.cancelled),
           timestamp: data.timestamp || new Date().toISOString()
         };
 
@@ -596,10 +753,10 @@ function App() {
           const last = next[next.length - 1];
           if (last?.role === 'assistant' && last.content === '') {
             next[next.length - 1] = assistantEntry;
-            return next;
+          } else {
+            next.push(assistantEntry);
           }
-          next.push(assistantEntry);
-          return next;
+          return applyStoredTurn(next, data.userMessage, data.messageId);
         });
 
         if (data.payload?.moodboard && activeConversationRef.current === conversationId) {
@@ -661,6 +818,24 @@ function App() {
     }
   }, [activeConversationId, loadingConversationId]);
 
+  const handleEditSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    const text = editingMessage?.text.trim();
+    if (!text || isActiveConversationLoading) return;
+    const replaceMessageId = editingMessage.id;
+    setEditingMessage(null);
+    setVersionSelection({});
+    await sendChatMessage(text, { replaceMessageId });
+  }, [editingMessage, isActiveConversationLoading, sendChatMessage]);
+
+  const handleRegenerate = useCallback(async () => {
+    if (isActiveConversationLoading) return;
+    const lastQuestion = [...messages].reverse().find(entry => entry.role === 'user' && entry.id);
+    if (!lastQuestion) return;
+    setVersionSelection({});
+    await sendChatMessage(lastQuestion.content, { replaceMessageId: lastQuestion.id });
+  }, [isActiveConversationLoading, messages, sendChatMessage]);
+
   const sendMessage = async (e) => {
     e.preventDefault();
     if (isActiveConversationLoading) return;
@@ -670,6 +845,29 @@ function App() {
     await sendChatMessage(userMessage);
   };
 
+  const cancelActiveTurn = useCallback(async () => {
+    const conversationId = activeConversationId;
+    if (!conversationId || loadingConversationId !== conversationId) {
+      return;
+    }
+
+    // The backend answers on the original request with the cancelled turn.
+    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
+      ws.current.send(JSON.stringify({ type: 'cancel', conversationId }));
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/conversations/${conversationId}/cancel`, { method: 'POST' });
+      if (!response.ok && response.status !== 409) {
+        const errorBody = await response.json().catch(() => ({}));
+        throw new Error(errorBody.error || 'Failed to cancel the response');
+      }
+    } catch (error) {
+      console.error('Failed to cancel turn:', error);
+    }
+  }, [activeConversationId, loadingConversationId]);
+
   const handleGenerateMoodboard = async () => {
     if (isActiveConversationLoading) return;
     const payload = `${MOODBOARD_TRIGGER}\n${raInput}`;
@@ -729,6 +927,35 @@ function App() {
     }
   }, [fetchConversations]);
 
+  // Forking at a question leaves it out of the branch and puts it back in the
+  // input, so it can be asked again differently.
+  const handleBranchFromMessage = useCallback(async (messageId) => {
+    if (!activeConversationId || !messageId) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/conversations/${activeConversationId}/fork`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ messageId })
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to branch conversation');
+      }
+
+      await fetchConversations(data.conversation.id);
+      setActiveTab('chat');
+      setInput(data.draft || '');
+    } catch (error) {
+      console.error('Failed to branch conversation:', error);
+    }
+  }, [activeConversationId, fetchConversations]);
+
   const handleSelectConversation = useCallback((conversationId) => {
     if (!conversationId || conversationId === activeConversationId) {
       return;
@@ -736,6 +963,12 @@ function App() {
     setActiveConversationId(conversationId);
   }, [activeConversationId]);
 
+  const handleSelectSearchHit = useCallback((conversationId, messageId) => {
+    setActiveTab('chat');
+    setPendingSearchHit({ conversationId, messageId });
+    handleSelectConversation(conversationId);
+  }, [handleSelectConversation]);
+
   const handleDeleteConversation = useCallback(async () => {
     if (!activeConversationId) {
       return;
@@ -971,14 +1204,70 @@ function App() {
             <p className="example">Try: "What are the trending colors for Spring/Summer 2025?" or "Show me the most popular prints for dresses in the last 3 months."</p>
           </div>
         ) : (
-          messages.map((msg, idx) => {
+          displayedMessages.map((msg, idx) => {
             const messageKey = msg.id || `${msg.timestamp || 'message'}-${idx}`;
+            const canAct = Boolean(msg.id) && !msg.archived && !isActiveConversationLoading;
+            const versionCount = msg.role === 'user' ? (msg.versions?.length || 0) : 0;
+            const selectedVersion = versionSelection[msg.id] ?? versionCount;
             return (
-              <div key={messageKey} className={`message ${msg.role}`}>
+              <div
+                key={messageKey}
+                id={msg.id ? `message-${msg.id}` : undefined}
+                className={`message ${msg.role}${msg.cancelled ? ' cancelled' : ''}${msg.archived ? ' archived' : ''}${msg.id && msg.id === highlightedMessageId ? ' search-hit' : ''}`}
+              >
                 <div className="message-header">
                   <span className="role">{msg.role === 'user' ? 'You' : msg.role === 'assistant' ? 'Assistant' : 'Error'}</span>
-                  <span className="timestamp">
-                    {msg.timestamp ? new Date(msg.timestamp).toLocaleTimeString() : 'Now'}
+                  <span className="message-actions">
+                    {versionCount > 0 && (
+                      <span className="version-nav">
+                        <button
+                          type="button"
+                          onClick={() => setVersionSelection(prev => ({ ...prev, [msg.id]: selectedVersion - 1 }))}
+                          disabled={selectedVersion === 0 || isActiveConversationLoading}
+                          aria-label="Previous version"
+                        >
+                          ‹
+                        </button>
+                        {selectedVersion + 1}/{versionCount + 1}
+                        <button
+                          type="button"
+                          onClick={() => setVersionSelection(prev => ({ ...prev, [msg.id]: selectedVersion + 1 }))}
+                          disabled={selectedVersion === versionCount || isActiveConversationLoading}
+                          aria-label="Next version"
+                        >
+                          ›
+                        </button>
+                      </span>
+                    )}
+                    {canAct && msg.role === 'user' && editingMessage?.id !== msg.id && (
+                      <button
+                        type="button"
+                        className="branch-btn"
+                        onClick={() => setEditingMessage({ id: msg.id, text: msg.content })}
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {canAct && msg.role === 'assistant' && idx === displayedMessages.length - 1 && (
+                      <button type="button" className="branch-btn" onClick={handleRegenerate}>
+                        Regenerate
+                      </button>
+                    )}
+                    {canAct && msg.role !== 'error' && (
+                      <button
+                        type="button"
+                        className="branch-btn"
+                        onClick={() => handleBranchFromMessage(msg.id)}
+                        title={msg.role === 'user'
+                          ? 'Start a new conversation before this question, with it ready to edit'
+                          : 'Start a new conversation from this answer'}
+                      >
+                        Branch from here
+                      </button>
+                    )}
+                    <span className="timestamp">
+                      {msg.timestamp ? new Date(msg.timestamp).toLocaleTimeString() : 'Now'}
+                    </span>
                   </span>
                 </div>
                 <div className="message-content">
@@ -1014,6 +1303,27 @@ function App() {
                     >
                       {msg.content || ''}
                     </ReactMarkdown>
+                  ) : editingMessage?.id === msg.id ? (
+                    <form className="edit-message-form" onSubmit={handleEditSubmit}>
+                      <textarea
+                        value={editingMessage.text}
+                        onChange={(e) => setEditingMessage(prev => ({ ...prev, text: e.target.value }))}
+                        rows={3}
+                        autoFocus
+                      />
+                      <div className="edit-message-actions">
+                        <button type="button" className="ghost" onClick={() => setEditingMessage(null)}>
+                          Cancel
+                        </button>
+                        <button
+                          type="submit"
+                          className="primary"
+                          disabled={!editingMessage.text.trim() || isActiveConversationLoading || !connected}
+                        >
+                          Save &amp; regenerate
+                        </button>
+                      </div>
+                    </form>
                   ) : (
                     msg.content
                   )}
@@ -1041,6 +1351,13 @@ function App() {
                       <div key={callIdx} className="tool-call">
                         <div className="tool-name">
                           <strong>{call.name}</strong>
+                          {call.statistics && (
+                            <span className="tool-stats">
+                              {call.statistics.cacheHit
+                                ? 'cached result'
+                                : `${call.statistics.totalBytesProcessedLabel} scanned · ~$${call.statistics.estimatedCostUsd}`}
+                            </span>
+                          )}
                         </div>
                         {Object.keys(call.args).length > 0 && (
                           <div className="tool-args">
@@ -1052,6 +1369,16 @@ function App() {
                           <div className="tool-result">
                             <strong>Result:</strong>
                             <pre>{JSON.stringify(call.result, null, 2)}</pre>
+                            {call.resultTruncated && call.id && (
+                              <a
+                                className="tool-result-link"
+                                href={`/api/conversations/${activeConversationId}/tool-calls/${call.id}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                              >
+                                Truncated preview · view full result
+                              </a>
+                            )}
                           </div>
                         )}
                         {call.error && (
@@ -1075,11 +1402,17 @@ function App() {
             <span className="role">Assistant</span>
           </div>
           <div className="message-content">
-            <div className="typing-indicator">
-              <span></span>
-              <span></span>
-              <span></span>
-            </div>
+            {queuedTurn?.conversationId === activeConversationId ? (
+              <div className="queued-notice">
+                Waiting for an earlier turn in this conversation to finish (position {queuedTurn.position} in queue)
+              </div>
+            ) : (
+              <div className="typing-indicator">
+                <span></span>
+                <span></span>
+                <span></span>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -1102,6 +1435,11 @@ function App() {
         >
           Send
         </button>
+        {isActiveConversationLoading && (
+          <button type="button" onClick={cancelActiveTurn} className="stop-btn">
+            Stop
+          </button>
+        )}
       </form>
     </>
   );
@@ -1138,7 +1476,9 @@ function App() {
         <div className="rate-limit-notification">
           <span className="rate-limit-icon">⏳</span>
           <span className="rate-limit-text">
-            Rate limit hit. Retrying in {rateLimitInfo.retryIn.toFixed(1)}s...
+            {rateLimitInfo.countdown
+              ? `Rate limit hit. Retrying in ${rateLimitInfo.retryIn.toFixed(1)}s...`
+              : rateLimitInfo.message}
           </span>
         </div>
       )}
@@ -1170,8 +1510,47 @@ function App() {
                 New Chat
               </button>
             </div>
+            <input
+              type="search"
+              className="conversation-search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search messages, titles and SQL…"
+              aria-label="Search conversations"
+            />
             <div className="conversation-list">
-              {conversationsLoading ? (
+              {searchQuery.trim() ? (
+                searchResults === null ? (
+                  <div className="conversation-list-empty">Searching…</div>
+                ) : searchResults.length === 0 ? (
+                  <div className="conversation-list-empty">No conversations match.</div>
+                ) : (
+                  searchResults.map(result => (
+                    <div key={result.conversationId} className="conversation-search-result">
+                      <button
+                        type="button"
+                        className="conversation-search-title"
+                        onClick={() => handleSelectSearchHit(result.conversationId, null)}
+                      >
+                        {result.title}
+                      </button>
+                      {result.matches
+                        .filter(match => match.messageId)
+                        .map((match, idx) => (
+                          <button
+                            key={`${match.messageId}-${match.field}-${idx}`}
+                            type="button"
+                            className="conversation-search-hit"
+                            onClick={() => handleSelectSearchHit(result.conversationId, match.messageId)}
+                          >
+                            <span className="conversation-search-field">{SEARCH_FIELD_LABELS[match.field] || match.field}</span>
+                            {renderSearchSnippet(match.snippet, match.highlights)}
+                          </button>
+                        ))}
+                    </div>
+                  ))
+                )
+              ) : conversationsLoading ? (
                 <div className="conversation-list-empty">Loading…</div>
               ) : conversations.length === 0 ? (
                 <div className="conversation-list-empty">
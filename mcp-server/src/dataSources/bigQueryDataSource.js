@@ -0,0 +1,141 @@
+const { BigQuery } = require('@google-cloud/bigquery');
+const { buildPagination } = require('../queryPagination');
+const { cancelJobOnAbort, throwIfCancelled } = require('../requestCancellation');
+
+class BigQueryDataSource {
+  constructor({ projectId, location = null } = {}) {
+    this.name = 'bigquery';
+    this.supportsForecasting = true;
+    this.location = location;
+    this.client = new BigQuery({ projectId, location: location || undefined });
+  }
+
+  get projectId() {
+    return this.client.projectId;
+  }
+
+  // Jobs run in the configured location; without one BigQuery infers it from
+  // the datasets the statement references.
+  createQueryJob(query, options = {}) {
+    const jobOptions = { query, ...options };
+    if (this.location) {
+      jobOptions.location = this.location;
+    }
+    return this.client.createQueryJob(jobOptions);
+  }
+
+  async estimateQuery(query) {
+    const [job] = await this.createQueryJob(query, { dryRun: true });
+    const statistics = job.metadata?.statistics || {};
+
+    return {
+      totalBytesProcessed: Number(statistics.totalBytesProcessed || 0),
+      referencedTables: (statistics.query?.referencedTables || []).map(
+        table => `${table.projectId}.${table.datasetId}.${table.tableId}`
+      )
+    };
+  }
+
+  // Runs a statement to completion (e.g. BigQuery ML) and returns its rows;
+  // the job is cancelled in BigQuery if the signal aborts first.
+  async runJob(query, { signal = null } = {}) {
+    throwIfCancelled(signal);
+    const [job] = await this.createQueryJob(query);
+    const stopWatching = cancelJobOnAbort(job, signal);
+    try {
+      const [rows] = await job.getQueryResults();
+      return rows;
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw error;
+    } finally {
+      stopWatching();
+    }
+  }
+
+  async executeQuery(query, { maxResults, maximumBytesBilled = null, signal = null }) {
+    const jobOptions = {};
+    if (maximumBytesBilled !== null) {
+      jobOptions.maximumBytesBilled = String(maximumBytesBilled);
+    }
+
+    throwIfCancelled(signal);
+    const [job] = await this.createQueryJob(query, jobOptions);
+    const stopWatching = cancelJobOnAbort(job, signal);
+    let page;
+    try {
+      page = await this._fetchResultPage(job, { maxResults, signal });
+    } catch (error) {
+      throwIfCancelled(signal);
+      throw error;
+    } finally {
+      stopWatching();
+    }
+    const { rows, pagination, apiResponse } = page;
+
+    return {
+      rows,
+      pagination,
+      jobId: job.id,
+      totalBytesProcessed: apiResponse?.totalBytesProcessed !== undefined
+        ? Number(apiResponse.totalBytesProcessed)
+        : null,
+      cacheHit: !!apiResponse?.cacheHit
+    };
+  }
+
+  async fetchPage(state, { maxResults }) {
+    const job = this.client.job(state.jobId, { location: state.location });
+    const { rows, pagination } = await this._fetchResultPage(job, {
+      maxResults,
+      pageToken: state.pageToken,
+      offset: state.offset
+    });
+    return { rows, pagination };
+  }
+
+  async _fetchResultPage(job, { maxResults, pageToken, offset = 0, signal = null }) {
+    const options = { maxResults, autoPaginate: false };
+    if (pageToken) {
+      options.pageToken = pageToken;
+    }
+
+    let [rows, , apiResponse] = await job.getQueryResults(options);
+    while (apiResponse?.jobComplete === false) {
+      throwIfCancelled(signal);
+      [rows, , apiResponse] = await job.getQueryResults(options);
+    }
+
+    const pagination = buildPagination({
+      offset,
+      rowsReturned: rows.length,
+      totalRows: Number(apiResponse?.totalRows ?? offset + rows.length),
+      maxResults,
+      columns: (apiResponse?.schema?.fields || []).map(field => field.name),
+      nextState: apiResponse?.pageToken
+        ? { jobId: job.id, location: job.location, pageToken: apiResponse.pageToken }
+        : null
+    });
+
+    return { rows, pagination, apiResponse };
+  }
+
+  async fetchTableSchema(dataset, table) {
+    const [metadata] = await this.client.dataset(dataset).table(table).getMetadata();
+    return metadata.schema;
+  }
+
+  async getTableVersion(tableName) {
+    const [projectId, datasetId, tableId] = tableName.split('.');
+    const [metadata] = await this.client.dataset(datasetId, { projectId }).table(tableId).getMetadata();
+    return metadata.lastModifiedTime || null;
+  }
+
+  async listTables(mappedTables) {
+    return mappedTables;
+  }
+}
+
+module.exports = {
+  BigQueryDataSource
+};
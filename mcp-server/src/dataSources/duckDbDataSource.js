@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const { SqlGuardError, extractTableReferences, findClosingParen, tokenizeSql } = require('../sqlGuard');
+const { buildPagination } = require('../queryPagination');
+const { throwIfCancelled } = require('../requestCancellation');
+
+const FIXTURE_READERS = {
+  '.csv': 'read_csv_auto',
+  '.json': 'read_json_auto',
+  '.ndjson': 'read_json_auto'
+};
+const WIDE_INTEGER_TYPE = /^(U?BIGINT|U?HUGEINT)/;
+
+// DuckDB type names mapped onto the legacy type names BigQuery reports in table metadata.
+const BIGQUERY_TYPE_NAMES = [
+  [/^(TINYINT|SMALLINT|INTEGER|BIGINT|HUGEINT|UTINYINT|USMALLINT|UINTEGER|UBIGINT|UHUGEINT)$/, 'INTEGER'],
+  [/^(FLOAT|DOUBLE|REAL)$/, 'FLOAT'],
+  [/^DECIMAL/, 'NUMERIC'],
+  [/^BOOLEAN$/, 'BOOLEAN'],
+  [/^DATE$/, 'DATE'],
+  [/^TIMESTAMP WITH TIME ZONE$/, 'TIMESTAMP'],
+  [/^TIMESTAMP/, 'DATETIME'],
+  [/^TIME/, 'TIME'],
+  [/^JSON$/, 'JSON'],
+  [/^BLOB$/, 'BYTES'],
+  [/^STRUCT/, 'RECORD']
+];
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function quoteString(value) {
+  return `'${String(value).replace(/'/g, '\'\'')}'`;
+}
+
+// BigQuery accepts double-quoted and backslash-escaped strings; DuckDB only
+// understands single-quoted strings with doubled quotes.
+function convertStringLiteral(raw) {
+  const quote = raw[0];
+  const delimiterLength = raw.startsWith(quote.repeat(3)) ? 3 : 1;
+  const body = raw.slice(delimiterLength, Math.max(delimiterLength, raw.length - delimiterLength));
+  const unescaped = body.replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', r: '\r' }[char] ?? char));
+  return quoteString(unescaped);
+}
+
+function isSymbol(token, value) {
+  return token?.type === 'symbol' && token.value === value;
+}
+
+// BigQuery date parts are bare keywords, optionally with an argument such as
+// WEEK(MONDAY); DuckDB takes the part name as a string.
+function toDatePart(part) {
+  return quoteString(part.trim().replace(/\s*\(.*$/, '').toLowerCase());
+}
+
+// BigQuery functions whose DuckDB counterpart takes its arguments in a different
+// order or shape. Each entry receives the already-translated argument texts.
+const FUNCTION_TRANSLATIONS = {
+  FORMAT_DATE: ([format, value]) => `strftime(${value}, ${format})`,
+  FORMAT_DATETIME: ([format, value]) => `strftime(${value}, ${format})`,
+  FORMAT_TIMESTAMP: ([format, value]) => `strftime(${value}, ${format})`,
+  PARSE_DATE: ([format, value]) => `CAST(strptime(${value}, ${format}) AS DATE)`,
+  PARSE_DATETIME: ([format, value]) => `strptime(${value}, ${format})`,
+  PARSE_TIMESTAMP: ([format, value]) => `strptime(${value}, ${format})`,
+  DATE_TRUNC: ([value, part]) => `CAST(date_trunc(${toDatePart(part)}, ${value}) AS DATE)`,
+  DATETIME_TRUNC: ([value, part]) => `date_trunc(${toDatePart(part)}, ${value})`,
+  TIMESTAMP_TRUNC: ([value, part]) => `date_trunc(${toDatePart(part)}, ${value})`,
+  DATE_ADD: ([value, interval]) => `CAST(${value} + ${interval} AS DATE)`,
+  DATE_SUB: ([value, interval]) => `CAST(${value} - ${interval} AS DATE)`,
+  DATETIME_ADD: ([value, interval]) => `(${value} + ${interval})`,
+  DATETIME_SUB: ([value, interval]) => `(${value} - ${interval})`,
+  TIMESTAMP_ADD: ([value, interval]) => `(${value} + ${interval})`,
+  TIMESTAMP_SUB: ([value, interval]) => `(${value} - ${interval})`,
+  DATE_DIFF: ([end, start, part]) => `date_diff(${toDatePart(part)}, ${start}, ${end})`,
+  DATETIME_DIFF: ([end, start, part]) => `date_diff(${toDatePart(part)}, ${start}, ${end})`,
+  TIMESTAMP_DIFF: ([end, start, part]) => `date_diff(${toDatePart(part)}, ${start}, ${end})`,
+  SAFE_DIVIDE: ([dividend, divisor]) => `(${dividend} / NULLIF(${divisor}, 0))`,
+  COUNTIF: ([condition]) => `count_if(${condition})`,
+  LOGICAL_AND: ([condition]) => `bool_and(${condition})`,
+  LOGICAL_OR: ([condition]) => `bool_or(${condition})`
+};
+// Functions with the same arguments under another name.
+const FUNCTION_RENAMES = {
+  SAFE_CAST: 'TRY_CAST'
+};
+
+// Rewrites BigQuery Standard SQL into DuckDB syntax: project-qualified table
+// paths become schema.table, backtick identifiers become double-quoted, string
+// literals are re-quoted, comments are dropped and the date, formatting and
+// division functions in FUNCTION_TRANSLATIONS are rewritten. Any other
+// function is passed through unchanged, so BigQuery-only functions fail with
+// UNSUPPORTED_LOCAL_FUNCTION when the query runs. Table functions are refused:
+// the local source only reads its fixture tables.
+function translateToDuckDbSql(sql) {
+  const tokens = tokenizeSql(sql);
+  const tablePaths = new Map();
+  extractTableReferences(tokens).forEach(reference => {
+    if (reference.isFunction) {
+      throw new SqlGuardError(
+        `Table function "${reference.parts.join('.')}" is not available in the local data source. ` +
+          'Read from dataset.table names only.',
+        'FROM_ITEM_NOT_ALLOWED',
+        { fromItem: reference.parts.join('.') }
+      );
+    }
+    tablePaths.set(reference.start, reference);
+  });
+
+  const isCall = index =>
+    tokens[index].type === 'word' && isSymbol(tokens[index + 1], '(') && !isSymbol(tokens[index - 1], '.');
+
+  // Splits the tokens between a call's parentheses at its top-level commas.
+  const splitArguments = (openIndex, closeIndex) => {
+    const ranges = [];
+    let depth = 0;
+    let start = openIndex + 1;
+    for (let index = openIndex + 1; index < closeIndex; index += 1) {
+      if (isSymbol(tokens[index], '(')) {
+        depth += 1;
+      } else if (isSymbol(tokens[index], ')')) {
+        depth -= 1;
+      } else if (depth === 0 && isSymbol(tokens[index], ',')) {
+        ranges.push([start, index]);
+        start = index + 1;
+      }
+    }
+    return start < closeIndex || ranges.length > 0 ? [...ranges, [start, closeIndex]] : ranges;
+  };
+
+  const translateRange = (from, to) => {
+    let text = '';
+    let index = from;
+    while (index < to) {
+      const token = tokens[index];
+      if (index > from) {
+        const gap = sql.slice(tokens[index - 1].end, token.start);
+        text += /\S/.test(gap) ? ' ' : gap;
+      }
+
+      const tablePath = tablePaths.get(token.start);
+      const name = token.value.toUpperCase();
+      if (tablePath) {
+        const [table, dataset] = tablePath.parts.slice().reverse();
+        text += dataset ? `${quoteIdentifier(dataset)}.${quoteIdentifier(table)}` : quoteIdentifier(table);
+        while (index < to && tokens[index].start < tablePath.end) {
+          index += 1;
+        }
+        continue;
+      }
+
+      if (isCall(index) && FUNCTION_TRANSLATIONS[name]) {
+        const closeIndex = findClosingParen(tokens, index + 1);
+        const args = splitArguments(index + 1, closeIndex).map(([start, end]) => translateRange(start, end));
+        text += FUNCTION_TRANSLATIONS[name](args);
+        index = closeIndex + 1;
+        continue;
+      }
+
+      if (isCall(index) && FUNCTION_RENAMES[name]) {
+        text += FUNCTION_RENAMES[name];
+      } else if (token.type === 'identifier') {
+        text += token.value.split('.').map(quoteIdentifier).join('.');
+      } else if (token.type === 'string') {
+        text += convertStringLiteral(token.value);
+      } else if (!isSymbol(token, ';')) {
+        text += sql.slice(token.start, token.end);
+      }
+      index += 1;
+    }
+    return text;
+  };
+
+  return translateRange(0, tokens.length);
+}
+
+function toBigQueryField({ column_name: name, column_type: columnType, null: nullable }) {
+  const isRepeated = columnType.endsWith('[]');
+  const baseType = isRepeated ? columnType.slice(0, -2) : columnType;
+  const match = BIGQUERY_TYPE_NAMES.find(([pattern]) => pattern.test(baseType));
+
+  return {
+    name,
+    type: match ? match[1] : 'STRING',
+    mode: isRepeated ? 'REPEATED' : nullable === 'NO' ? 'REQUIRED' : 'NULLABLE'
+  };
+}
+
+function parseWideIntegers(value) {
+  if (Array.isArray(value)) {
+    return value.map(parseWideIntegers);
+  }
+  if (typeof value === 'string' && /^-?\d+$/.test(value) && Number.isSafeInteger(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Local stand-in for BigQuery backed by an in-memory DuckDB database seeded
+// from <fixturesDir>/<dataset>/<table>.csv|json files.
+class DuckDbDataSource {
+  constructor({ fixturesDir, projectId = null } = {}) {
+    this.name = 'duckdb';
+    this.supportsForecasting = false;
+    this.projectId = projectId;
+    this.fixturesDir = fixturesDir;
+    this.tableVersions = new Map();
+    this.connectionPromise = null;
+  }
+
+  async _connection() {
+    if (!this.connectionPromise) {
+      this.connectionPromise = this._initialize();
+    }
+    return this.connectionPromise;
+  }
+
+  async _initialize() {
+    const { DuckDBInstance } = require('@duckdb/node-api');
+    const instance = await DuckDBInstance.create(':memory:');
+    const connection = await instance.connect();
+
+    const datasetDirs = await fs.promises.readdir(this.fixturesDir, { withFileTypes: true });
+    for (const datasetDir of datasetDirs.filter(entry => entry.isDirectory())) {
+      const dataset = datasetDir.name;
+      const datasetPath = path.join(this.fixturesDir, dataset);
+      await connection.run(`CREATE SCHEMA IF NOT EXISTS ${quoteIdentifier(dataset)}`);
+
+      for (const fileName of await fs.promises.readdir(datasetPath)) {
+        const extension = path.extname(fileName).toLowerCase();
+        const reader = FIXTURE_READERS[extension];
+        if (!reader) {
+          continue;
+        }
+
+        const table = path.basename(fileName, extension);
+        const filePath = path.join(datasetPath, fileName);
+        await connection.run(
+          `CREATE TABLE ${quoteIdentifier(dataset)}.${quoteIdentifier(table)} AS ` +
+            `SELECT * FROM ${reader}(${quoteString(filePath)})`
+        );
+
+        const stats = await fs.promises.stat(filePath);
+        this.tableVersions.set(`${dataset}.${table}`, String(stats.mtimeMs));
+      }
+    }
+
+    // The fixtures are in memory now; queries must not reach the file system or
+    // network (read_text, FROM '<path>', ATTACH, COPY) or turn that back on.
+    await connection.run('SET enable_external_access = false');
+    await connection.run('SET lock_configuration = true');
+
+    console.log(`Loaded ${this.tableVersions.size} local tables from ${this.fixturesDir}`);
+    return connection;
+  }
+
+  async _readRows(sql) {
+    const connection = await this._connection();
+    let reader;
+    try {
+      reader = await connection.runAndReadAll(sql);
+    } catch (error) {
+      const missingFunction = /Function with name (\w+) does not exist/i.exec(error.message);
+      if (missingFunction) {
+        throw new SqlGuardError(
+          `${missingFunction[1].toUpperCase()}() has no local equivalent: the duckdb data source only runs ` +
+            'functions DuckDB shares with BigQuery plus the date, formatting and SAFE_DIVIDE functions it ' +
+            'translates. Rewrite the query without it or run it against BigQuery.',
+          'UNSUPPORTED_LOCAL_FUNCTION',
+          { function: missingFunction[1] }
+        );
+      }
+      throw error;
+    }
+    const columns = reader.columnNames();
+    const wideIntegerColumns = reader
+      .columnTypes()
+      .map((type, index) => (WIDE_INTEGER_TYPE.test(type.toString()) ? columns[index] : null))
+      .filter(Boolean);
+
+    const rows = reader.getRowObjectsJson().map(row => {
+      wideIntegerColumns.forEach(column => {
+        row[column] = parseWideIntegers(row[column]);
+      });
+      return row;
+    });
+
+    return { rows, columns };
+  }
+
+  async _readPage(sql, { maxResults, offset = 0 }) {
+    const { rows: countRows } = await this._readRows(`SELECT COUNT(*) AS total_rows FROM (${sql}) AS source_query`);
+    const totalRows = Number(countRows[0]?.total_rows || 0);
+    const { rows, columns } = await this._readRows(
+      `SELECT * FROM (${sql}) AS source_query LIMIT ${Number(maxResults)} OFFSET ${Number(offset)}`
+    );
+
+    const pagination = buildPagination({
+      offset,
+      rowsReturned: rows.length,
+      totalRows,
+      maxResults,
+      columns,
+      nextState: offset + rows.length < totalRows ? { sql } : null
+    });
+
+    return { rows, pagination };
+  }
+
+  _resolveTableName(parts) {
+    const [table, dataset] = parts.slice().reverse();
+    return `${this.projectId || 'local'}.${dataset}.${table}`;
+  }
+
+  async estimateQuery(query) {
+    const referencedTables = extractTableReferences(tokenizeSql(query))
+      .filter(reference => !reference.isFunction && reference.parts.length > 1)
+      .map(reference => this._resolveTableName(reference.parts));
+
+    return {
+      totalBytesProcessed: 0,
+      referencedTables: Array.from(new Set(referencedTables))
+    };
+  }
+
+  // Local fixture queries finish quickly, so cancellation is only checked around them.
+  async executeQuery(query, { maxResults, signal = null }) {
+    throwIfCancelled(signal);
+    const { rows, pagination } = await this._readPage(translateToDuckDbSql(query), { maxResults });
+    throwIfCancelled(signal);
+    return {
+      rows,
+      pagination,
+      jobId: null,
+      totalBytesProcessed: 0,
+      cacheHit: false
+    };
+  }
+
+  async fetchPage(state, { maxResults }) {
+    return this._readPage(state.sql, { maxResults, offset: state.offset });
+  }
+
+  async fetchTableSchema(dataset, table) {
+    await this._connection();
+    if (!this.tableVersions.has(`${dataset}.${table}`)) {
+      throw new Error(`Table ${dataset}.${table} has no local fixture in ${this.fixturesDir}.`);
+    }
+
+    const { rows } = await this._readRows(`DESCRIBE ${quoteIdentifier(dataset)}.${quoteIdentifier(table)}`);
+    return { fields: rows.map(toBigQueryField) };
+  }
+
+  async getTableVersion(tableName) {
+    await this._connection();
+    const [, dataset, table] = tableName.split('.');
+    return this.tableVersions.get(`${dataset}.${table}`) || null;
+  }
+
+  async listTables(mappedTables) {
+    await this._connection();
+    return mappedTables.filter(table => this.tableVersions.has(`${table.dataset}.${table.name}`));
+  }
+}
+
+module.exports = {
+  DuckDbDataSource,
+  translateToDuckDbSql
+};
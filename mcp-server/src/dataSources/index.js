@@ -0,0 +1,40 @@
+const path = require('path');
+const { BigQueryDataSource } = require('./bigQueryDataSource');
+const { DuckDbDataSource } = require('./duckDbDataSource');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures');
+
+/**
+ * Data sources implement the storage-specific half of the MCP tools:
+ *   estimateQuery(query)                 -> { totalBytesProcessed, referencedTables }
+ *   executeQuery(query, options)         -> { rows, pagination, jobId, totalBytesProcessed, cacheHit }
+ *                                           (options.signal cancels the query when aborted)
+ *   fetchPage(pageState, { maxResults }) -> { rows, pagination }
+ *   fetchTableSchema(dataset, table)     -> { fields: [{ name, type, mode }] }
+ *   getTableVersion('project.dataset.table') -> string used to invalidate cached results
+ *   listTables(mappedTables)             -> the mapped tables this source can serve
+ * Sources with `supportsForecasting` also expose runJob(sql, { signal }) for BigQuery ML statements.
+ */
+function createDataSource(name = process.env.MCP_DATA_SOURCE || 'bigquery') {
+  switch (name.toLowerCase()) {
+    case 'bigquery':
+      return new BigQueryDataSource({
+        projectId: process.env.GCP_PROJECT_ID,
+        location: process.env.BIGQUERY_LOCATION || null
+      });
+    case 'duckdb':
+    case 'local': {
+      const configuredDir = process.env.MCP_LOCAL_FIXTURES_DIR;
+      return new DuckDbDataSource({
+        projectId: process.env.GCP_PROJECT_ID || null,
+        fixturesDir: configuredDir ? path.resolve(__dirname, '../..', configuredDir) : DEFAULT_FIXTURES_DIR
+      });
+    }
+    default:
+      throw new Error(`Unknown MCP_DATA_SOURCE "${name}". Use "bigquery" or "duckdb".`);
+  }
+}
+
+module.exports = {
+  createDataSource
+};
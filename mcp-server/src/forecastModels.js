@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Longest horizon run_forecast accepts. Models are trained for this many days
+// so later calls can forecast any shorter horizon without retraining.
+const MAX_FORECAST_HORIZON_DAYS = 365;
+
+// ARIMA_PLUS data frequencies by the length of one step, shortest first.
+const FORECAST_FREQUENCIES = [
+  { dataFrequency: 'HOURLY', stepDays: 1 / 24 },
+  { dataFrequency: 'DAILY', stepDays: 1 },
+  { dataFrequency: 'WEEKLY', stepDays: 7 },
+  { dataFrequency: 'MONTHLY', stepDays: 30 },
+  { dataFrequency: 'QUARTERLY', stepDays: 91 },
+  { dataFrequency: 'YEARLY', stepDays: 365 }
+];
+
+// Picks the frequency whose step best matches the median gap between
+// consecutive dates; the model horizon counts steps of that frequency, not days.
+// Falls back to DAILY when the series has too few dates to measure a gap.
+function detectForecastFrequency(medianGapHours) {
+  const gapDays = Number(medianGapHours) / 24;
+  if (!Number.isFinite(gapDays) || gapDays <= 0) {
+    return 'DAILY';
+  }
+  const match = FORECAST_FREQUENCIES.find(({ stepDays }) => gapDays <= stepDays * 1.5);
+  return (match || FORECAST_FREQUENCIES[FORECAST_FREQUENCIES.length - 1]).dataFrequency;
+}
+
+function toForecastSteps(horizonDays, dataFrequency) {
+  const frequency = FORECAST_FREQUENCIES.find(entry => entry.dataFrequency === dataFrequency) || FORECAST_FREQUENCIES[1];
+  return Math.max(1, Math.ceil(horizonDays / frequency.stepDays));
+}
+
+function buildForecastModelKey({
+  projectId,
+  datasetId,
+  tableId,
+  dateColumn,
+  valueColumn,
+  seriesIdColumn = null,
+  whereClause = null
+}) {
+  return crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify([projectId, datasetId, tableId, dateColumn, valueColumn, seriesIdColumn || null, whereClause || null])
+    )
+    .digest('hex');
+}
+
+// Model ids must be letters, digits and underscores; the key suffix keeps
+// models for the same table but different columns, series or filters apart.
+function buildForecastModelId(tableId, key) {
+  const tablePart = String(tableId).replace(/[^A-Za-z0-9_]/g, '_').slice(0, 64);
+  return `forecast_${tablePart}_${key.slice(0, 12)}`;
+}
+
+// Tracks the BigQuery ML models run_forecast has trained, keyed by the table,
+// columns and filter they were trained on, with an optional JSON file so models
+// are reused across restarts. Models unused for `expireAfterSeconds` are
+// returned by listExpired so the caller can drop them (0 keeps them forever).
+class ForecastModelRegistry {
+  constructor({ filePath = null, staleAfterSeconds = 24 * 60 * 60, expireAfterSeconds = 30 * 24 * 60 * 60 } = {}) {
+    this.filePath = filePath;
+    this.staleAfterMs = staleAfterSeconds * 1000;
+    this.expireAfterMs = expireAfterSeconds * 1000;
+    this.models = new Map();
+    this._load();
+  }
+
+  _load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (Array.isArray(parsed?.models) ? parsed.models : []).forEach(model => {
+        if (model?.key && model?.modelId) {
+          this.models.set(model.key, model);
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to load forecast model registry:', error.message);
+      }
+    }
+  }
+
+  _save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ models: Array.from(this.models.values()) }, null, 2), 'utf8');
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.warn('Failed to write forecast model registry:', error.message);
+    }
+  }
+
+  get(key) {
+    return this.models.get(key) || null;
+  }
+
+  isStale(model, now = Date.now()) {
+    return now - Date.parse(model.checkedAt || model.trainedAt) >= this.staleAfterMs;
+  }
+
+  // A model is reused while it is inside the staleness window. Once stale it
+  // is only retrained when the source table has changed since training.
+  async evaluate(model, readSourceVersion) {
+    if (!model) {
+      return { retrain: true, reason: 'no trained model' };
+    }
+    // Models from before frequency detection were trained with a 365-step horizon.
+    if (!model.dataFrequency) {
+      return { retrain: true, reason: 'model predates frequency detection' };
+    }
+    if (!this.isStale(model)) {
+      return { retrain: false, reason: 'within staleness window', sourceVersion: model.sourceVersion };
+    }
+
+    const sourceVersion = await readSourceVersion();
+    if (sourceVersion !== null && sourceVersion === model.sourceVersion) {
+      this.touch(model.key, { checkedAt: new Date().toISOString() });
+      return { retrain: false, reason: 'source table unchanged', sourceVersion };
+    }
+    return { retrain: true, reason: 'source table changed', sourceVersion };
+  }
+
+  record(model) {
+    const now = new Date().toISOString();
+    const entry = {
+      ...model,
+      trainedAt: now,
+      checkedAt: now,
+      lastUsedAt: now,
+      useCount: 0
+    };
+    this.models.set(entry.key, entry);
+    this._save();
+    return entry;
+  }
+
+  touch(key, updates = {}) {
+    const model = this.models.get(key);
+    if (!model) {
+      return null;
+    }
+    Object.assign(model, updates);
+    this._save();
+    return model;
+  }
+
+  markUsed(key) {
+    const model = this.models.get(key);
+    return model
+      ? this.touch(key, { lastUsedAt: new Date().toISOString(), useCount: (model.useCount || 0) + 1 })
+      : null;
+  }
+
+  delete(key) {
+    const existed = this.models.delete(key);
+    if (existed) {
+      this._save();
+    }
+    return existed;
+  }
+
+  isExpired(model, now = Date.now()) {
+    return this.expireAfterMs > 0 && now - Date.parse(model.lastUsedAt || model.trainedAt) >= this.expireAfterMs;
+  }
+
+  listExpired(now = Date.now()) {
+    return Array.from(this.models.values()).filter(model => this.isExpired(model, now));
+  }
+
+  list({ datasetId, tableId } = {}) {
+    return Array.from(this.models.values())
+      .filter(model => (!datasetId || model.datasetId === datasetId) && (!tableId || model.tableId === tableId))
+      .sort((a, b) => Date.parse(b.lastUsedAt) - Date.parse(a.lastUsedAt))
+      .map(model => ({ ...model, stale: this.isStale(model) }));
+  }
+}
+
+module.exports = {
+  MAX_FORECAST_HORIZON_DAYS,
+  ForecastModelRegistry,
+  buildForecastModelId,
+  buildForecastModelKey,
+  detectForecastFrequency,
+  toForecastSteps
+};
@@ -0,0 +1,162 @@
+const { SqlGuardError } = require('./sqlGuard');
+
+const DATASET_ID_PATTERN = /^[A-Za-z0-9_]{1,1024}$/;
+const TABLE_ID_PATTERN = /^[\p{L}\p{M}\p{N}\p{Pc}\p{Pd}\p{Zs}]{1,1024}$/u;
+const COLUMN_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,299}$/;
+const TIMESTAMP_TYPES = new Set(['DATE', 'DATETIME', 'TIMESTAMP']);
+const NUMERIC_TYPES = new Set(['INTEGER', 'INT64', 'FLOAT', 'FLOAT64', 'NUMERIC', 'BIGNUMERIC']);
+const SERIES_ID_TYPES = new Set(['STRING', 'INTEGER', 'INT64', 'BOOLEAN', 'BOOL']);
+const SCHEMA_HINT = 'Call get_table_schema to see the available columns and their types.';
+
+function quoteIdentifier(name) {
+  return `\`${name}\``;
+}
+
+function assertIdentifier(value, pattern, label, code = 'INVALID_IDENTIFIER') {
+  if (typeof value !== 'string' || !pattern.test(value)) {
+    throw new SqlGuardError(`${label} "${value}" is not a valid BigQuery identifier.`, code, { [label]: value });
+  }
+}
+
+function assertIntegerInRange(value, label, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new SqlGuardError(`${label} must be an integer between ${min} and ${max}.`, 'INVALID_FORECAST_PARAMETER', {
+      [label]: value
+    });
+  }
+}
+
+function toSqlLiteral(column, value) {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  throw new SqlGuardError(
+    `Filter value for ${column} must be a string, number, boolean, null or an array of those.`,
+    'INVALID_FILTER',
+    { column }
+  );
+}
+
+// Compiles { column: value | [values] | null } into an AND-ed SQL condition so
+// callers can restrict training rows without writing SQL. Column names must
+// already be resolved against the table schema.
+function buildFilterClause(filters) {
+  const entries = Object.entries(filters || {});
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return entries
+    .map(([column, value]) => {
+      if (value === null) {
+        return `${quoteIdentifier(column)} IS NULL`;
+      }
+      if (Array.isArray(value)) {
+        if (value.length === 0) {
+          throw new SqlGuardError(`Filter values for ${column} cannot be empty.`, 'INVALID_FILTER', { column });
+        }
+        return `${quoteIdentifier(column)} IN (${value.map(item => toSqlLiteral(column, item)).join(', ')})`;
+      }
+      return `${quoteIdentifier(column)} = ${toSqlLiteral(column, value)}`;
+    })
+    .join(' AND ');
+}
+
+// Looks a column up the way BigQuery does (case-insensitively) and checks its
+// type, so the agent gets an error naming the valid choices instead of a
+// BigQuery ML failure.
+function resolveColumn(fieldsByName, tableName, column, { role, allowedTypes = null }) {
+  assertIdentifier(column, COLUMN_NAME_PATTERN, role);
+
+  const field = fieldsByName.get(column.toLowerCase());
+  if (!field) {
+    throw new SqlGuardError(
+      `${role} "${column}" does not exist in ${tableName}. ${SCHEMA_HINT}`,
+      'UNKNOWN_COLUMN',
+      { column, availableColumns: Array.from(fieldsByName.values()).map(entry => entry.name) }
+    );
+  }
+
+  const type = String(field.type || '').toUpperCase();
+  if (allowedTypes && (!allowedTypes.has(type) || field.mode === 'REPEATED')) {
+    const candidates = Array.from(fieldsByName.values())
+      .filter(entry => allowedTypes.has(String(entry.type || '').toUpperCase()) && entry.mode !== 'REPEATED')
+      .map(entry => entry.name);
+    throw new SqlGuardError(
+      `${role} "${field.name}" in ${tableName} has type ${field.mode === 'REPEATED' ? `ARRAY<${type}>` : type}; ` +
+        `expected one of ${Array.from(allowedTypes).join(', ')}.` +
+        (candidates.length ? ` Columns that qualify: ${candidates.join(', ')}.` : ''),
+      'INVALID_COLUMN_TYPE',
+      { column: field.name, type, expectedTypes: Array.from(allowedTypes), candidates }
+    );
+  }
+
+  return field.name;
+}
+
+function assertForecastTableIds({ datasetId, tableId }) {
+  assertIdentifier(datasetId, DATASET_ID_PATTERN, 'datasetId');
+  assertIdentifier(tableId, TABLE_ID_PATTERN, 'tableId');
+}
+
+// Validates run_forecast arguments against the source table schema and returns
+// canonical column names plus their quoted forms for building SQL.
+function resolveForecastColumns(schema, params, { maxHorizonDays }) {
+  const { datasetId, tableId, dateColumn, valueColumn, seriesIdColumn, whereClause, filters, horizonDays, maxSeries } =
+    params;
+  const tableName = `${datasetId}.${tableId}`;
+  const fieldsByName = new Map((schema?.fields || []).map(field => [field.name.toLowerCase(), field]));
+
+  assertIntegerInRange(horizonDays, 'horizonDays', 1, maxHorizonDays);
+  assertIntegerInRange(maxSeries, 'maxSeries', 1, 200);
+  if (whereClause !== null && whereClause !== undefined && typeof whereClause !== 'string') {
+    throw new SqlGuardError('whereClause must be a SQL boolean expression string.', 'INVALID_FORECAST_PARAMETER');
+  }
+
+  const columns = {
+    dateColumn: resolveColumn(fieldsByName, tableName, dateColumn, {
+      role: 'dateColumn',
+      allowedTypes: TIMESTAMP_TYPES
+    }),
+    valueColumn: resolveColumn(fieldsByName, tableName, valueColumn, {
+      role: 'valueColumn',
+      allowedTypes: NUMERIC_TYPES
+    }),
+    seriesIdColumn: seriesIdColumn
+      ? resolveColumn(fieldsByName, tableName, seriesIdColumn, { role: 'seriesIdColumn', allowedTypes: SERIES_ID_TYPES })
+      : null
+  };
+
+  if (filters !== null && filters !== undefined && (typeof filters !== 'object' || Array.isArray(filters))) {
+    throw new SqlGuardError('filters must be an object of column/value pairs.', 'INVALID_FILTER');
+  }
+  const resolvedFilters = Object.fromEntries(
+    Object.entries(filters || {}).map(([column, value]) => [
+      resolveColumn(fieldsByName, tableName, column, { role: 'filter column' }),
+      value
+    ])
+  );
+
+  return {
+    ...columns,
+    filters: resolvedFilters,
+    quoted: {
+      dateColumn: quoteIdentifier(columns.dateColumn),
+      valueColumn: quoteIdentifier(columns.valueColumn),
+      seriesIdColumn: columns.seriesIdColumn ? quoteIdentifier(columns.seriesIdColumn) : null
+    }
+  };
+}
+
+module.exports = {
+  assertForecastTableIds,
+  buildFilterClause,
+  quoteIdentifier,
+  resolveForecastColumns
+};
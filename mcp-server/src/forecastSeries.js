@@ -0,0 +1,102 @@
+// Relative change over the horizon below which a series is reported as flat.
+const FLAT_CHANGE_THRESHOLD_PCT = 5;
+
+// BigQuery returns TIMESTAMP/DATE cells as wrapper objects.
+function unwrapValue(value) {
+  return value && typeof value === 'object' && 'value' in value ? value.value : value;
+}
+
+function roundValue(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? Number(value.toFixed(4)) : value ?? null;
+}
+
+function summarizeSeries(points) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  const peak = points.reduce((best, point) => (point.value > best.value ? point : best), first);
+  const averageValue = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+  const changePct = first.value !== 0 ? ((last.value - first.value) / Math.abs(first.value)) * 100 : null;
+  const intervalWidths = points
+    .filter(point => point.lowerBound !== null && point.upperBound !== null && point.value !== 0)
+    .map(point => ((point.upperBound - point.lowerBound) / Math.abs(point.value)) * 100);
+
+  let direction = 'flat';
+  if (changePct !== null && changePct >= FLAT_CHANGE_THRESHOLD_PCT) {
+    direction = 'rising';
+  } else if (changePct !== null && changePct <= -FLAT_CHANGE_THRESHOLD_PCT) {
+    direction = 'declining';
+  }
+
+  // A peak strictly inside the horizon means growth is expected to turn.
+  const peaksInsideHorizon = peak !== first && peak !== last;
+  const lifecycleSignal = peaksInsideHorizon
+    ? 'peaking'
+    : { rising: 'accelerating', declining: 'declining', flat: 'stable' }[direction];
+
+  return {
+    startTimestamp: first.timestamp,
+    endTimestamp: last.timestamp,
+    startValue: roundValue(first.value),
+    endValue: roundValue(last.value),
+    averageValue: roundValue(averageValue),
+    peakValue: roundValue(peak.value),
+    peakTimestamp: peak.timestamp,
+    changePct: roundValue(changePct),
+    direction,
+    trendArrow: { rising: '↑', flat: '→', declining: '↓' }[direction],
+    lifecycleSignal,
+    averageIntervalWidthPct: intervalWidths.length
+      ? roundValue(intervalWidths.reduce((sum, width) => sum + width, 0) / intervalWidths.length)
+      : null
+  };
+}
+
+// Groups ML.FORECAST rows by series id and summarizes each series. Series are
+// ordered by average forecast value so the largest series survive `maxSeries`.
+function groupForecastBySeries(rows, { seriesIdColumn = null, maxSeries = null } = {}) {
+  const seriesById = new Map();
+
+  rows.forEach(row => {
+    const seriesId = seriesIdColumn ? unwrapValue(row[seriesIdColumn]) ?? null : null;
+    if (!seriesById.has(seriesId)) {
+      seriesById.set(seriesId, []);
+    }
+    seriesById.get(seriesId).push({
+      timestamp: unwrapValue(row.forecast_timestamp),
+      value: Number(row.forecast_value),
+      lowerBound: row.prediction_interval_lower_bound ?? null,
+      upperBound: row.prediction_interval_upper_bound ?? null,
+      standardError: row.standard_error ?? null,
+      confidenceLevel: row.confidence_level ?? null
+    });
+  });
+
+  const series = Array.from(seriesById.entries())
+    .map(([seriesId, points]) => {
+      points.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+      return {
+        seriesId,
+        summary: summarizeSeries(points),
+        points: points.map(point => ({
+          timestamp: point.timestamp,
+          value: roundValue(point.value),
+          lowerBound: roundValue(point.lowerBound),
+          upperBound: roundValue(point.upperBound),
+          standardError: roundValue(point.standardError),
+          confidenceLevel: point.confidenceLevel
+        }))
+      };
+    })
+    .sort((a, b) => b.summary.averageValue - a.summary.averageValue);
+
+  const limit = maxSeries || series.length;
+  return {
+    totalSeries: series.length,
+    truncated: series.length > limit,
+    series: series.slice(0, limit)
+  };
+}
+
+module.exports = {
+  groupForecastBySeries
+};
@@ -1,11 +1,32 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
-const { BigQuery } = require('@google-cloud/bigquery');
-const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { pathToFileURL } = require('url');
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
 const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
 const { z } = require('zod');
+const { SqlGuardError, assertReadOnlyQuery } = require('./sqlGuard');
+const { assertQueryTablesAllowed, assertTableAllowed, buildTableAllowlist } = require('./tableAllowlist');
+const { decodePageToken } = require('./queryPagination');
+const { QueryResultCache, buildCacheKey, isCacheableSql, normalizeSql } = require('./queryCache');
+const { createDataSource } = require('./dataSources');
+const { groupForecastBySeries } = require('./forecastSeries');
+const { CANCELLATION_TAG_META_KEY, RequestCancellationRegistry } = require('./requestCancellation');
+const {
+  assertForecastTableIds,
+  buildFilterClause,
+  quoteIdentifier,
+  resolveForecastColumns
+} = require('./forecastParams');
+const {
+  MAX_FORECAST_HORIZON_DAYS,
+  ForecastModelRegistry,
+  buildForecastModelId,
+  buildForecastModelKey,
+  detectForecastFrequency,
+  toForecastSteps
+} = require('./forecastModels');
 
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
 
@@ -15,15 +36,47 @@ const httpPaths = Array.from(new Set([process.env.MCP_HTTP_PATH || '/', '/mcp'])
 const ssePaths = Array.from(new Set([process.env.MCP_SSE_PATH || '/', '/sse']));
 const sseMessagesPath = process.env.MCP_SSE_MESSAGES_PATH || '/messages';
 const sseSessions = new Map();
-
-const bigquery = new BigQuery({
-  projectId: process.env.GCP_PROJECT_ID
+const BYTES_PER_TIB = 1024 ** 4;
+const pricePerTibUsd = Number(process.env.BIGQUERY_PRICE_PER_TIB_USD) || 6.25;
+const maximumBytesBilled = parsePositiveInteger(process.env.MCP_MAXIMUM_BYTES_BILLED);
+const defaultMaxRows = parsePositiveInteger(process.env.MCP_QUERY_DEFAULT_MAX_ROWS) || 100;
+const maxRowsLimit = Math.max(defaultMaxRows, parsePositiveInteger(process.env.MCP_QUERY_MAX_ROWS_LIMIT) || 1000);
+const TABLE_SNAPSHOT_TTL_MS = 60 * 1000;
+const tableSnapshots = new Map();
+const queryCache = new QueryResultCache({
+  maxEntries: parseNonNegativeInteger(process.env.MCP_QUERY_CACHE_MAX_ENTRIES) ?? 200,
+  ttlSeconds: Number(process.env.MCP_QUERY_CACHE_TTL_SECONDS || 3600),
+  filePath: process.env.MCP_QUERY_CACHE_PATH
+    ? path.resolve(__dirname, '..', process.env.MCP_QUERY_CACHE_PATH)
+    : null
+});
+const forecastModels = new ForecastModelRegistry({
+  filePath: path.resolve(__dirname, '..', process.env.MCP_FORECAST_MODEL_REGISTRY_PATH || 'data/forecast-models.json'),
+  staleAfterSeconds:
+    (process.env.MCP_FORECAST_MODEL_STALE_AFTER_HOURS ? Number(process.env.MCP_FORECAST_MODEL_STALE_AFTER_HOURS) : 24) *
+    60 *
+    60,
+  expireAfterSeconds:
+    (process.env.MCP_FORECAST_MODEL_EXPIRE_AFTER_DAYS ? Number(process.env.MCP_FORECAST_MODEL_EXPIRE_AFTER_DAYS) : 30) *
+    24 *
+    60 *
+    60
 });
+const requestCancellation = new RequestCancellationRegistry();
+
+const dataSource = createDataSource();
 
 const mcpConfigPath = path.join(
   __dirname,
   '../../backend/config/query_to_table_mapping_for_mcp.json'
 );
+const wgsnSearchModuleUrl = pathToFileURL(
+  path.join(__dirname, '../../backend/src/wgsn/wgsnSearch.js')
+).href;
+const responseSchemasPath = path.join(__dirname, '../../backend/config/responseSchemas.json');
+const queryRouterModuleUrl = pathToFileURL(path.join(__dirname, '../../backend/src/queryRouter.js')).href;
+const responseSchemaModuleUrl = pathToFileURL(path.join(__dirname, '../../backend/src/responseSchema.js')).href;
+const TABLE_RESOURCE_TEMPLATE = 'table://{dataset}/{table}';
 
 app.use(express.json({ limit: '1mb' }));
 
@@ -31,10 +84,19 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
 });
 
-async function loadTableMappings() {
+async function loadMcpConfig() {
   const data = await fs.promises.readFile(mcpConfigPath, 'utf8');
-  const mcpConfig = JSON.parse(data);
-  const allTables = mcpConfig.query_mappings.flatMap(mapping => mapping.tables || []);
+  return JSON.parse(data);
+}
+
+async function loadTableAllowlist() {
+  return buildTableAllowlist(await loadMcpConfig());
+}
+
+async function loadTableMappings() {
+  const mcpConfig = await loadMcpConfig();
+  const overrides = (mcpConfig.allowed_table_overrides || []).filter(table => table?.table !== '*');
+  const allTables = [...mcpConfig.query_mappings.flatMap(mapping => mapping.tables || []), ...overrides];
 
   const uniqueTables = allTables.reduce((acc, table) => {
     if (!table?.dataset || !table?.table) {
@@ -51,81 +113,473 @@ async function loadTableMappings() {
     return acc;
   }, {});
 
-  return Object.values(uniqueTables);
+  return dataSource.listTables(Object.values(uniqueTables));
+}
+
+function parsePositiveInteger(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : null;
+}
+
+// Like parsePositiveInteger, but keeps an explicit 0 (e.g. to disable a limit).
+function parseNonNegativeInteger(value) {
+  const parsed = value === '' || value === null || value === undefined ? NaN : Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.floor(parsed) : null;
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'];
+  let value = bytes;
+  let unitIndex = 0;
+  while (value >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex += 1;
+  }
+  return `${value.toFixed(unitIndex === 0 ? 0 : 2)} ${units[unitIndex]}`;
 }
 
-async function runSqlQuery(query) {
-  const [job] = await bigquery.createQueryJob({ query });
-  const [rows] = await job.getQueryResults();
-  return rows;
+function estimateCostUsd(bytes) {
+  return Number(((bytes / BYTES_PER_TIB) * pricePerTibUsd).toFixed(4));
+}
+
+async function estimateQuery(query) {
+  const { tokens } = assertReadOnlyQuery(query);
+  assertQueryTablesAllowed(await loadTableAllowlist(), tokens, dataSource.projectId);
+
+  const { totalBytesProcessed, referencedTables } = await dataSource.estimateQuery(query);
+
+  return {
+    referencedTables,
+    totalBytesProcessed,
+    totalBytesProcessedLabel: formatBytes(totalBytesProcessed),
+    estimatedCostUsd: estimateCostUsd(totalBytesProcessed),
+    maximumBytesBilled,
+    withinBudget: maximumBytesBilled === null || totalBytesProcessed <= maximumBytesBilled
+  };
+}
+
+async function fetchTableLastModified(tableName) {
+  const memo = tableSnapshots.get(tableName);
+  if (memo && Date.now() - memo.fetchedAt < TABLE_SNAPSHOT_TTL_MS) {
+    return memo.lastModifiedTime;
+  }
+
+  const lastModifiedTime = await dataSource.getTableVersion(tableName);
+  tableSnapshots.set(tableName, { lastModifiedTime, fetchedAt: Date.now() });
+  return lastModifiedTime;
+}
+
+// Identifies the data a query reads so cached results are invalidated when any
+// referenced table changes.
+async function buildDatasetSnapshot(referencedTables) {
+  const versions = await Promise.all(
+    referencedTables
+      .slice()
+      .sort()
+      .map(async tableName => `${tableName}@${await fetchTableLastModified(tableName)}`)
+  );
+  return versions.join(',');
+}
+
+function resolveMaxResults(value) {
+  return Math.min(parsePositiveInteger(value) || defaultMaxRows, maxRowsLimit);
+}
+
+async function runSqlQuery(query, { maxResults, pageToken, signal = null } = {}) {
+  const pageSize = resolveMaxResults(maxResults);
+
+  if (pageToken) {
+    const { rows, pagination } = await dataSource.fetchPage(decodePageToken(pageToken), { maxResults: pageSize });
+    return { rows, pagination };
+  }
+
+  const estimate = await estimateQuery(query);
+  if (!estimate.withinBudget) {
+    throw new SqlGuardError(
+      `Query would scan ${estimate.totalBytesProcessedLabel}, which exceeds the ` +
+        `${formatBytes(maximumBytesBilled)} budget. Select fewer columns, filter on partition ` +
+        'or date columns, or aggregate in a narrower table before retrying.',
+      'BYTE_BUDGET_EXCEEDED',
+      { estimate }
+    );
+  }
+
+  let cacheKey = null;
+  let cacheContext = null;
+  if (queryCache.enabled && isCacheableSql(query)) {
+    const normalizedSql = normalizeSql(query);
+    const snapshot = await buildDatasetSnapshot(estimate.referencedTables);
+    cacheKey = buildCacheKey(normalizedSql, snapshot, String(pageSize));
+    cacheContext = { sql: normalizedSql, snapshot };
+
+    const cached = queryCache.get(cacheKey);
+    if (cached) {
+      return {
+        ...cached.value,
+        statistics: {
+          ...cached.value.statistics,
+          totalBytesProcessed: 0,
+          totalBytesProcessedLabel: formatBytes(0),
+          estimatedCostUsd: 0,
+          cacheHit: true
+        },
+        cache: {
+          hit: true,
+          key: cacheKey,
+          cachedAt: cached.cachedAt,
+          expiresAt: cached.expiresAt
+        }
+      };
+    }
+  }
+
+  const { rows, pagination, jobId, cacheHit, ...execution } = await dataSource.executeQuery(query, {
+    maxResults: pageSize,
+    maximumBytesBilled,
+    signal
+  });
+  const totalBytesProcessed = execution.totalBytesProcessed ?? estimate.totalBytesProcessed;
+
+  const result = {
+    rows,
+    pagination,
+    statistics: {
+      jobId,
+      totalBytesProcessed,
+      totalBytesProcessedLabel: formatBytes(totalBytesProcessed),
+      estimatedCostUsd: cacheHit ? 0 : estimateCostUsd(totalBytesProcessed),
+      cacheHit
+    }
+  };
+
+  if (!cacheKey) {
+    return result;
+  }
+
+  // Page tokens are signed per process, so truncated results stay memory-only.
+  const entry = queryCache.set(cacheKey, result, { ...cacheContext, persist: !pagination.nextPageToken });
+  return {
+    ...result,
+    cache: {
+      hit: false,
+      key: cacheKey,
+      cachedAt: entry?.cachedAt || null,
+      expiresAt: entry?.expiresAt || null
+    }
+  };
+}
+
+// Gives a tool handler a signal that aborts when the MCP request is cancelled
+// or when cancel_requests is called with the tag from the request's _meta.
+async function withCancellation(extra, run) {
+  const { signal, end } = requestCancellation.begin(extra?._meta?.[CANCELLATION_TAG_META_KEY], extra?.signal);
+  try {
+    return await run(signal);
+  } finally {
+    end();
+  }
 }
 
 async function fetchTableSchema(dataset, table) {
-  const [metadata] = await bigquery.dataset(dataset).table(table).getMetadata();
-  return metadata.schema;
+  assertTableAllowed(await loadTableAllowlist(), dataset, table);
+  return dataSource.fetchTableSchema(dataset, table);
+}
+
+function isModelNotFoundError(error) {
+  return error?.code === 404 || /Not found: Model/i.test(error?.message || '');
+}
+
+// `horizonSteps` counts steps of the model's data frequency, not days.
+async function forecastWithModel(modelPath, horizonSteps, signal) {
+  const forecastQuery = `
+      SELECT
+        *
+      FROM
+        ML.FORECAST(MODEL ${quoteIdentifier(modelPath)},
+                    STRUCT(${horizonSteps} AS horizon, 0.95 AS confidence_level))
+    `;
+
+  return dataSource.runJob(forecastQuery, { signal });
+}
+
+// Drops models nobody has forecast with for MCP_FORECAST_MODEL_EXPIRE_AFTER_DAYS,
+// in BigQuery and in the registry. A failed drop is logged and retried on the
+// next run_forecast call.
+async function dropExpiredForecastModels() {
+  for (const model of forecastModels.listExpired()) {
+    try {
+      await dataSource.runJob(`DROP MODEL IF EXISTS ${quoteIdentifier(model.modelPath)}`);
+      forecastModels.delete(model.key);
+      console.log(`Dropped expired forecast model ${model.modelPath}`);
+    } catch (error) {
+      console.warn(`Failed to drop expired forecast model ${model.modelPath}:`, error.message);
+    }
+  }
 }
 
-async function runForecastJob(params) {
+async function runForecastJob(params, { signal = null } = {}) {
   const {
     datasetId,
     tableId,
     dateColumn,
     valueColumn,
-    horizonDays = 30
+    seriesIdColumn = null,
+    whereClause = null,
+    filters = null,
+    horizonDays = 30,
+    maxSeries = 25
   } = params;
 
-  const projectId = bigquery.projectId;
-  const modelName = `${datasetId}.forecast_model_${Date.now()}`;
+  if (!dataSource.supportsForecasting) {
+    throw new Error(`Forecasting requires the BigQuery data source (current: ${dataSource.name}).`);
+  }
+  assertForecastTableIds({ datasetId, tableId });
+  await dropExpiredForecastModels();
+  const allowlist = await loadTableAllowlist();
+  assertTableAllowed(allowlist, datasetId, tableId);
+
+  const schema = await dataSource.fetchTableSchema(datasetId, tableId).catch(error => {
+    if (error?.code === 404) {
+      throw new SqlGuardError(`Table ${datasetId}.${tableId} was not found.`, 'UNKNOWN_TABLE', {}, 404);
+    }
+    throw error;
+  });
+  const columns = resolveForecastColumns(
+    schema,
+    { datasetId, tableId, dateColumn, valueColumn, seriesIdColumn, whereClause, filters, horizonDays, maxSeries },
+    { maxHorizonDays: MAX_FORECAST_HORIZON_DAYS }
+  );
+  const { quoted } = columns;
+
+  const projectId = dataSource.projectId;
+  const sourceTable = `${projectId}.${datasetId}.${tableId}`;
+  const callerConditions = [whereClause ? `(${whereClause})` : null, buildFilterClause(columns.filters)].filter(Boolean);
+  const combinedWhere = callerConditions.join(' AND ') || null;
+  const quotedColumns = [quoted.seriesIdColumn, quoted.dateColumn, quoted.valueColumn].filter(Boolean);
+  const trainingQuery = `
+      SELECT ${quotedColumns.join(', ')}
+      FROM ${quoteIdentifier(sourceTable)}
+      WHERE ${[...quotedColumns.map(column => `${column} IS NOT NULL`), ...callerConditions].join(' AND ')}
+      ORDER BY ${quoted.dateColumn}
+    `;
+  // whereClause is caller-supplied SQL, so the training query gets the same
+  // read-only and allowlist checks as run_query before it is wrapped in CREATE MODEL.
+  const { tokens } = assertReadOnlyQuery(trainingQuery);
+  assertQueryTablesAllowed(allowlist, tokens, projectId);
 
-  try {
+  const key = buildForecastModelKey({
+    projectId,
+    datasetId,
+    tableId,
+    dateColumn: columns.dateColumn,
+    valueColumn: columns.valueColumn,
+    seriesIdColumn: columns.seriesIdColumn,
+    whereClause: combinedWhere
+  });
+  const modelId = buildForecastModelId(tableId, key);
+  const modelPath = `${projectId}.${datasetId}.${modelId}`;
+  const readSourceVersion = () => dataSource.getTableVersion(sourceTable);
+
+  // Median gap between consecutive dates of a series, in hours.
+  const detectDataFrequency = async () => {
+    const seriesColumns = [quoted.seriesIdColumn, quoted.dateColumn].filter(Boolean);
+    const partition = quoted.seriesIdColumn ? `PARTITION BY ${quoted.seriesIdColumn} ` : '';
+    const [row] = await dataSource.runJob(
+      `
+      SELECT APPROX_QUANTILES(gap_hours, 2)[OFFSET(1)] AS median_gap_hours
+      FROM (
+        SELECT TIMESTAMP_DIFF(
+          CAST(${quoted.dateColumn} AS TIMESTAMP),
+          CAST(LAG(${quoted.dateColumn}) OVER (${partition}ORDER BY ${quoted.dateColumn}) AS TIMESTAMP),
+          HOUR
+        ) AS gap_hours
+        FROM (SELECT DISTINCT ${seriesColumns.join(', ')} FROM (${trainingQuery.trim()}))
+      )
+      WHERE gap_hours > 0
+    `,
+      { signal }
+    );
+    return detectForecastFrequency(row?.median_gap_hours);
+  };
+
+  const trainModel = async sourceVersion => {
+    const dataFrequency = await detectDataFrequency();
+    const modelHorizonSteps = toForecastSteps(MAX_FORECAST_HORIZON_DAYS, dataFrequency);
     const createModelQuery = `
-      CREATE OR REPLACE MODEL \`${projectId}.${modelName}\`
+      CREATE OR REPLACE MODEL ${quoteIdentifier(modelPath)}
       OPTIONS(
         model_type='ARIMA_PLUS',
-        time_series_timestamp_col='${dateColumn}',
-        time_series_data_col='${valueColumn}',
+        time_series_timestamp_col='${columns.dateColumn}',
+        time_series_data_col='${columns.valueColumn}',${
+          columns.seriesIdColumn ? `\n        time_series_id_col='${columns.seriesIdColumn}',` : ''
+        }
         auto_arima=TRUE,
-        data_frequency='AUTO_FREQUENCY',
-        horizon=${horizonDays}
+        data_frequency='${dataFrequency}',
+        horizon=${modelHorizonSteps}
       ) AS
-      SELECT ${dateColumn}, ${valueColumn}
-      FROM \`${projectId}.${datasetId}.${tableId}\`
-      WHERE ${dateColumn} IS NOT NULL AND ${valueColumn} IS NOT NULL
-      ORDER BY ${dateColumn}
+      ${trainingQuery.trim()}
     `;
 
-    const [createJob] = await bigquery.createQueryJob({ query: createModelQuery, location: 'US' });
-    await createJob.getQueryResults();
+    await dataSource.runJob(createModelQuery, { signal });
 
-    const forecastQuery = `
-      SELECT
-        *
-      FROM
-        ML.FORECAST(MODEL \`${projectId}.${modelName}\`,
-                    STRUCT(${horizonDays} AS horizon, 0.95 AS confidence_level))
-    `;
+    return forecastModels.record({
+      key,
+      modelId,
+      modelPath,
+      datasetId,
+      tableId,
+      dateColumn: columns.dateColumn,
+      valueColumn: columns.valueColumn,
+      seriesIdColumn: columns.seriesIdColumn,
+      whereClause: combinedWhere,
+      dataFrequency,
+      horizonSteps: modelHorizonSteps,
+      sourceVersion
+    });
+  };
 
-    const [forecastJob] = await bigquery.createQueryJob({ query: forecastQuery, location: 'US' });
-    const [forecastRows] = await forecastJob.getQueryResults();
+  let decision = await forecastModels.evaluate(forecastModels.get(key), readSourceVersion);
+  let model = decision.retrain
+    ? await trainModel(decision.sourceVersion !== undefined ? decision.sourceVersion : await readSourceVersion())
+    : forecastModels.get(key);
 
-    await bigquery
-      .createQueryJob({ query: `DROP MODEL IF EXISTS \`${projectId}.${modelName}\``, location: 'US' })
-      .catch(err => {
-        console.warn('Failed to cleanup model:', err.message);
-      });
+  let forecastRows;
+  try {
+    forecastRows = await forecastWithModel(modelPath, toForecastSteps(horizonDays, model.dataFrequency), signal);
+  } catch (error) {
+    if (decision.retrain || !isModelNotFoundError(error)) {
+      throw error;
+    }
+    // The registry outlived the model (e.g. it was dropped in BigQuery), so train it again.
+    decision = { retrain: true, reason: 'model missing in BigQuery' };
+    model = await trainModel(await readSourceVersion());
+    forecastRows = await forecastWithModel(modelPath, toForecastSteps(horizonDays, model.dataFrequency), signal);
+  }
+  model = forecastModels.markUsed(key) || model;
+  const { totalSeries, truncated, series } = groupForecastBySeries(forecastRows, {
+    seriesIdColumn: columns.seriesIdColumn,
+    maxSeries
+  });
 
-    return {
-      forecast: forecastRows,
-      horizonDays,
-      model: 'ARIMA_PLUS',
-      totalForecasted: forecastRows.length
-    };
+  return {
+    horizonDays,
+    dataFrequency: model.dataFrequency,
+    horizonSteps: toForecastSteps(horizonDays, model.dataFrequency),
+    model: 'ARIMA_PLUS',
+    seriesIdColumn: columns.seriesIdColumn,
+    totalForecasted: forecastRows.length,
+    totalSeries,
+    seriesReturned: series.length,
+    truncated,
+    series,
+    forecastModel: {
+      modelId: modelPath,
+      reused: !decision.retrain,
+      reason: decision.reason,
+      trainedAt: model.trainedAt,
+      sourceVersion: model.sourceVersion
+    }
+  };
+}
+
+// The WGSN store and search live in the (ES module) backend, so they are loaded lazily.
+function loadWgsnSearch() {
+  return import(wgsnSearchModuleUrl);
+}
+
+function formatPageRange(startPage, endPage) {
+  return !endPage || endPage === startPage ? `${startPage}` : `${startPage}-${endPage}`;
+}
+
+function toWgsnCitation(reportTitle, startPage, endPage) {
+  return `${reportTitle}, p. ${formatPageRange(startPage, endPage)}`;
+}
+
+function toTableResourceUri(dataset, table) {
+  return `table://${encodeURIComponent(dataset)}/${encodeURIComponent(table)}`;
+}
+
+// Catalog entry for one mapped table: every query type that routes to it (with
+// the mapping's reason text) plus the live schema from the data source.
+async function loadTableCatalogEntry(dataset, table) {
+  const mcpConfig = await loadMcpConfig();
+  const matchesTable = entry => entry?.dataset === dataset && entry?.table === table;
+  const usages = [
+    ...mcpConfig.query_mappings.flatMap(mapping =>
+      (mapping.tables || []).filter(matchesTable).map(entry => ({
+        queryType: mapping.query_type,
+        priority: entry.priority ?? null,
+        reason: entry.reason || null
+      }))
+    ),
+    ...(mcpConfig.allowed_table_overrides || []).filter(matchesTable).map(entry => ({
+      queryType: null,
+      priority: null,
+      reason: entry.reason || 'Allowed table override'
+    }))
+  ];
+
+  let schema = null;
+  let schemaError = null;
+  try {
+    schema = await fetchTableSchema(dataset, table);
   } catch (error) {
-    await bigquery
-      .createQueryJob({ query: `DROP MODEL IF EXISTS \`${projectId}.${modelName}\``, location: 'US' })
-      .catch(() => {});
-    throw error;
+    if (error instanceof SqlGuardError) {
+      throw error;
+    }
+    schemaError = error.message;
   }
+
+  return {
+    uri: toTableResourceUri(dataset, table),
+    dataset,
+    table,
+    description: usages.find(usage => usage.reason)?.reason || null,
+    usages,
+    schema,
+    schemaError
+  };
+}
+
+// Prompts are registered synchronously, so the query types are read straight
+// from the config files rather than through the async loaders.
+function loadResponsePromptDefinitions() {
+  const responseSchemas = JSON.parse(fs.readFileSync(responseSchemasPath, 'utf8'));
+  const mcpConfig = JSON.parse(fs.readFileSync(mcpConfigPath, 'utf8'));
+  const mappings = new Map((mcpConfig.query_mappings || []).map(mapping => [mapping.query_type, mapping]));
+
+  return Object.entries(responseSchemas.schemas || {}).map(([key, schema]) => {
+    const queryType = schema.query_type || key;
+    const mapping = mappings.get(queryType);
+    return {
+      queryType,
+      title: queryType
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' '),
+      description: mapping
+        ? `${mapping.description}. ${mapping.business_question || ''}`.trim()
+        : 'General data exploration using the default tables and the Data Insights Summary template.'
+    };
+  });
+}
+
+// Rebuilds the [ROUTING_HINT] and [RESPONSE_FORMAT] blocks Agent.chat attaches
+// to a user message, using the backend's own router and template helpers.
+async function buildGuidedAnalysisMessage(queryType, question) {
+  const [{ formatRoutingHint, getRoutingSuggestionForQueryType }, { buildResponseFormatHint }] = await Promise.all([
+    import(queryRouterModuleUrl),
+    import(responseSchemaModuleUrl)
+  ]);
+  const routingSuggestion = getRoutingSuggestionForQueryType(queryType);
+  const routingHint = formatRoutingHint(routingSuggestion);
+  const schemaHint = buildResponseFormatHint(routingSuggestion.responseSchema);
+
+  return [
+    question,
+    `[ROUTING_HINT]\n${routingHint}\n[/ROUTING_HINT]\nUse the suggested tables when applicable.`,
+    `[RESPONSE_FORMAT]\n${schemaHint}\n[/RESPONSE_FORMAT]\nReturn the JSON payload exactly once using this structure.`
+  ].join('\n\n');
 }
 
 function createMcpServer() {
@@ -172,16 +626,51 @@ function createMcpServer() {
     'run_query',
     {
       title: 'Run SQL Query',
-      description: 'Executes a SQL query against BigQuery',
+      description:
+        'Executes a read-only SELECT or WITH query against BigQuery. Results are paginated; ' +
+        'when pagination.truncated is true, pass pagination.nextPageToken to fetch more rows.',
+      inputSchema: {
+        query: z
+          .string()
+          .min(1)
+          .optional()
+          .describe('Standard SQL query text (required unless pageToken is provided)'),
+        maxResults: z
+          .number()
+          .int()
+          .positive()
+          .max(maxRowsLimit)
+          .optional()
+          .describe(`Maximum rows to return in this page (default ${defaultMaxRows})`),
+        pageToken: z.string().min(1).optional().describe('nextPageToken from a previous run_query result')
+      }
+    },
+    async ({ query, maxResults, pageToken }, extra) => {
+      if (!query && !pageToken) {
+        throw new Error('Either query or pageToken is required.');
+      }
+      const result = await withCancellation(extra, signal => runSqlQuery(query, { maxResults, pageToken, signal }));
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result
+      };
+    }
+  );
+
+  server.registerTool(
+    'estimate_query',
+    {
+      title: 'Estimate Query Cost',
+      description: 'Dry-runs a read-only query and reports bytes scanned, estimated cost and whether it fits the byte budget',
       inputSchema: {
         query: z.string().min(1, 'query is required').describe('Standard SQL query text')
       }
     },
     async ({ query }) => {
-      const rows = await runSqlQuery(query);
+      const estimate = await estimateQuery(query);
       return {
-        content: [{ type: 'text', text: JSON.stringify(rows, null, 2) }],
-        structuredContent: rows
+        content: [{ type: 'text', text: JSON.stringify(estimate, null, 2) }],
+        structuredContent: estimate
       };
     }
   );
@@ -190,28 +679,66 @@ function createMcpServer() {
     'run_forecast',
     {
       title: 'Run Forecast',
-      description: 'Builds a temporary ARIMA model for the specified dataset/table and projects values',
+      description:
+        'Projects values with an ARIMA_PLUS model for the specified dataset/table, optionally one series per ' +
+        'seriesIdColumn value (e.g. trend_id, brick or brand). Returns points with prediction intervals and a ' +
+        'summary per series. Models are kept per (table, columns, filters) and only retrained once stale and ' +
+        'the source table has changed.',
       inputSchema: {
         datasetId: z.string().min(1, 'datasetId is required').describe('Dataset containing the table'),
         tableId: z.string().min(1, 'tableId is required').describe('Table with the time series data'),
-        dateColumn: z.string().min(1, 'dateColumn is required').describe('Timestamp column'),
-        valueColumn: z.string().min(1, 'valueColumn is required').describe('Metric column to forecast'),
+        dateColumn: z.string().min(1, 'dateColumn is required').describe('DATE, DATETIME or TIMESTAMP column'),
+        valueColumn: z.string().min(1, 'valueColumn is required').describe('Numeric metric column to forecast'),
+        seriesIdColumn: z
+          .string()
+          .min(1)
+          .optional()
+          .describe('Optional column identifying each series (forecasts every value separately)'),
+        whereClause: z
+          .string()
+          .min(1)
+          .optional()
+          .describe('Optional SQL boolean expression restricting the training rows (e.g. category = "dresses")'),
+        filters: z
+          .record(
+            z.string(),
+            z.union([
+              z.string(),
+              z.number(),
+              z.boolean(),
+              z.null(),
+              z.array(z.union([z.string(), z.number(), z.boolean()]))
+            ])
+          )
+          .optional()
+          .describe('Optional column/value equality filters; array values match any of the listed values'),
         horizonDays: z
           .number()
           .int()
           .positive()
-          .max(365)
+          .max(MAX_FORECAST_HORIZON_DAYS)
+          .optional()
+          .describe(
+            'Optional forecast horizon in days (default 30); weekly or monthly series forecast the steps that cover it'
+          ),
+        maxSeries: z
+          .number()
+          .int()
+          .positive()
+          .max(200)
           .optional()
-          .describe('Optional forecast horizon in days (default 30)')
+          .describe('Maximum series to return, largest average forecast first (default 25)')
       }
     },
-    async args => {
-      const result = await runForecastJob(args);
+    async (args, extra) => {
+      const result = await withCancellation(extra, signal => runForecastJob(args, { signal }));
       return {
         content: [
           {
             type: 'text',
-            text: `Forecast complete for ${args.datasetId}.${args.tableId} (${result.totalForecasted} rows)`
+            text:
+              `Forecast complete for ${args.datasetId}.${args.tableId} ` +
+              `(${result.totalForecasted} rows across ${result.totalSeries} series)`
           }
         ],
         structuredContent: result
@@ -219,6 +746,185 @@ function createMcpServer() {
     }
   );
 
+  server.registerTool(
+    'cancel_requests',
+    {
+      title: 'Cancel Requests',
+      description:
+        `Cancels in-flight run_query and run_forecast calls whose _meta["${CANCELLATION_TAG_META_KEY}"] ` +
+        'matches the given tag, including their running BigQuery jobs',
+      inputSchema: {
+        cancellationTag: z.string().min(1, 'cancellationTag is required').describe('Tag sent with the calls to cancel')
+      }
+    },
+    async ({ cancellationTag }) => {
+      const result = { cancellationTag, cancelled: requestCancellation.cancel(cancellationTag) };
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result
+      };
+    }
+  );
+
+  server.registerTool(
+    'list_forecast_models',
+    {
+      title: 'List Forecast Models',
+      description: 'Lists the persisted forecast models run_forecast has trained, with their source columns, filter and staleness',
+      inputSchema: {
+        datasetId: z.string().min(1).optional().describe('Only list models trained on this dataset'),
+        tableId: z.string().min(1).optional().describe('Only list models trained on this table')
+      }
+    },
+    async ({ datasetId, tableId }) => {
+      const models = forecastModels.list({ datasetId, tableId });
+      const result = { totalModels: models.length, models };
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result
+      };
+    }
+  );
+
+  server.registerTool(
+    'list_wgsn_reports',
+    {
+      title: 'List WGSN Reports',
+      description: 'Lists ingested WGSN PDF reports with their tags, topics and page counts'
+    },
+    async () => {
+      const { listWgsnReportsMetadata } = await loadWgsnSearch();
+      const reports = await listWgsnReportsMetadata();
+      const result = { totalReports: reports.length, reports };
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result
+      };
+    }
+  );
+
+  server.registerTool(
+    'search_wgsn_reports',
+    {
+      title: 'Search WGSN Reports',
+      description:
+        'Searches ingested WGSN PDF reports for paragraphs relevant to a trend, attribute or question. ' +
+        'Each result includes the page range to cite.',
+      inputSchema: {
+        query: z.string().min(1, 'query is required').describe('Natural language description of what to research'),
+        limit: z.number().int().min(1).max(10).optional().describe('Maximum snippets to return (default 5)'),
+        tags: z.array(z.string()).optional().describe('Optional report tags to filter by')
+      }
+    },
+    async ({ query, limit = 5, tags }) => {
+      const { searchWgsnReports } = await loadWgsnSearch();
+      const results = await searchWgsnReports(query, { limit, tags });
+      const result = {
+        query,
+        limit,
+        totalResults: results.length,
+        results: results.map(entry => ({
+          reportId: entry.reportId,
+          reportTitle: entry.reportTitle,
+          chunkId: entry.chunkId,
+          startPage: entry.startPage,
+          endPage: entry.endPage,
+          pageRange: formatPageRange(entry.startPage, entry.endPage),
+          citation: toWgsnCitation(entry.reportTitle, entry.startPage, entry.endPage),
+          score: Number(entry.score.toFixed(3)),
+          text: entry.text,
+          tags: entry.tags,
+          topics: entry.topics,
+          highlights: entry.highlights
+        }))
+      };
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result
+      };
+    }
+  );
+
+  server.registerTool(
+    'get_wgsn_report_pages',
+    {
+      title: 'Get WGSN Report Pages',
+      description: 'Returns the extracted text for a page range of an ingested WGSN report (up to 10 pages per call)',
+      inputSchema: {
+        reportId: z.string().min(1, 'reportId is required').describe('Report id from list_wgsn_reports or search results'),
+        startPage: z.number().int().positive().describe('First page to return (1-based)'),
+        endPage: z.number().int().positive().optional().describe('Last page to return (defaults to startPage)')
+      }
+    },
+    async ({ reportId, startPage, endPage }) => {
+      const { getWgsnReportPages } = await loadWgsnSearch();
+      const pages = await getWgsnReportPages(reportId, { startPage, endPage });
+      if (!pages) {
+        throw new Error(`WGSN report ${reportId} was not found. Use list_wgsn_reports to see available reports.`);
+      }
+
+      const result = {
+        ...pages,
+        pageRange: formatPageRange(pages.startPage, pages.endPage),
+        citation: toWgsnCitation(pages.reportTitle, pages.startPage, pages.endPage)
+      };
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result
+      };
+    }
+  );
+
+  server.registerResource(
+    'table',
+    new ResourceTemplate(TABLE_RESOURCE_TEMPLATE, {
+      list: async () => {
+        const tables = await loadTableMappings();
+        return {
+          resources: tables.map(table => ({
+            uri: toTableResourceUri(table.dataset, table.name),
+            name: `${table.dataset}.${table.name}`,
+            description: table.description,
+            mimeType: 'application/json'
+          }))
+        };
+      }
+    }),
+    {
+      title: 'Mapped Table',
+      description: 'Schema and routing reasons for a table listed in query_to_table_mapping_for_mcp.json',
+      mimeType: 'application/json'
+    },
+    async (uri, { dataset, table }) => {
+      const entry = await loadTableCatalogEntry(decodeURIComponent(dataset), decodeURIComponent(table));
+      return {
+        contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(entry, null, 2) }]
+      };
+    }
+  );
+
+  loadResponsePromptDefinitions().forEach(({ queryType, title, description }) => {
+    server.registerPrompt(
+      queryType,
+      {
+        title,
+        description,
+        argsSchema: {
+          question: z.string().min(1, 'question is required').describe('The question to analyse')
+        }
+      },
+      async ({ question }) => ({
+        description,
+        messages: [
+          {
+            role: 'user',
+            content: { type: 'text', text: await buildGuidedAnalysisMessage(queryType, question) }
+          }
+        ]
+      })
+    );
+  });
+
   return server;
 }
 
@@ -249,9 +955,6 @@ async function handleStreamableRequest(req, res) {
         id: null
       });
     }
-  } finally {
-    server.close().catch(() => {});
-    transport.close();
   }
 }
 
@@ -309,6 +1012,10 @@ app.post(sseMessagesPath, async (req, res) => {
   }
 });
 
+function sendGuardError(res, error) {
+  res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+}
+
 app.get('/tables', async (req, res) => {
   try {
     const tables = await loadTableMappings();
@@ -324,16 +1031,36 @@ app.get('/tables', async (req, res) => {
 });
 
 app.post('/query', async (req, res) => {
+  const { query, maxResults, pageToken } = req.body;
+  if (!query && !pageToken) {
+    return res.status(400).json({ error: 'Query or pageToken is required.' });
+  }
+  try {
+    const result = await runSqlQuery(query, { maxResults, pageToken });
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof SqlGuardError) {
+      return sendGuardError(res, error);
+    }
+    console.error('Failed to run query:', error);
+    res.status(500).json({ error: 'Failed to run query.' });
+  }
+});
+
+app.post('/query/estimate', async (req, res) => {
   const { query } = req.body;
   if (!query) {
     return res.status(400).json({ error: 'Query is required.' });
   }
   try {
-    const rows = await runSqlQuery(query);
-    res.status(200).json(rows);
+    const estimate = await estimateQuery(query);
+    res.status(200).json(estimate);
   } catch (error) {
-    console.error('Failed to run query:', error);
-    res.status(500).json({ error: 'Failed to run query.' });
+    if (error instanceof SqlGuardError) {
+      return sendGuardError(res, error);
+    }
+    console.error('Failed to estimate query:', error);
+    res.status(500).json({ error: 'Failed to estimate query.' });
   }
 });
 
@@ -345,26 +1072,60 @@ app.post('/forecast', async (req, res) => {
       .json({ error: 'datasetId, tableId, dateColumn and valueColumn are required.' });
   }
 
+  if (!dataSource.supportsForecasting) {
+    return res
+      .status(501)
+      .json({ error: `Forecasting requires the BigQuery data source (current: ${dataSource.name}).` });
+  }
+
   try {
     const result = await runForecastJob(req.body);
     res.status(200).json(result);
   } catch (error) {
+    if (error instanceof SqlGuardError) {
+      return sendGuardError(res, error);
+    }
     console.error('Failed to run forecast:', error);
     res.status(500).json({ error: 'Failed to run forecast.' });
   }
 });
 
+app.get('/forecast/models', (req, res) => {
+  const models = forecastModels.list({ datasetId: req.query.datasetId, tableId: req.query.tableId });
+  res.status(200).json({ totalModels: models.length, models });
+});
+
+app.get('/cache', (req, res) => {
+  res.status(200).json(queryCache.describe());
+});
+
+app.delete('/cache', (req, res) => {
+  const removed = queryCache.clear();
+  res.status(200).json({ removed });
+});
+
+app.delete('/cache/:key', (req, res) => {
+  const { key } = req.params;
+  if (!queryCache.delete(key)) {
+    return res.status(404).json({ error: `No cache entry found for key ${key}.` });
+  }
+  res.status(200).json({ removed: 1 });
+});
+
 app.get('/tables/:dataset/:table/schema', async (req, res) => {
   const { dataset, table } = req.params;
   try {
     const schema = await fetchTableSchema(dataset, table);
     res.status(200).json(schema);
   } catch (error) {
+    if (error instanceof SqlGuardError) {
+      return sendGuardError(res, error);
+    }
     console.error(`Failed to get schema for ${dataset}.${table}:`, error);
     res.status(500).json({ error: `Failed to get schema for table ${dataset}.${table}.` });
   }
 });
 
 app.listen(port, () => {
-  console.log(`MCP Server listening on port ${port}`);
+  console.log(`MCP Server listening on port ${port} (data source: ${dataSource.name})`);
 });
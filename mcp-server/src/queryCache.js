@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { tokenizeSql } = require('./sqlGuard');
+
+// Collapses whitespace and comments so formatting-only differences share a cache entry.
+function normalizeSql(sql) {
+  return tokenizeSql(sql || '')
+    .filter(token => !(token.type === 'symbol' && token.value === ';'))
+    .map(token => (token.type === 'identifier' ? `\`${token.value}\`` : token.value))
+    .join(' ');
+}
+
+// Functions whose result changes between runs over the same table snapshot.
+const NON_DETERMINISTIC_FUNCTIONS = new Set([
+  'CURRENT_DATE',
+  'CURRENT_DATETIME',
+  'CURRENT_TIME',
+  'CURRENT_TIMESTAMP',
+  'RAND',
+  'GENERATE_UUID',
+  'SESSION_USER'
+]);
+
+// Queries calling a non-deterministic function are never cached: a cached
+// CURRENT_DATE() or RAND() would replay a stale answer until the entry expires.
+function isCacheableSql(sql) {
+  return !tokenizeSql(sql || '').some(
+    (token, index, tokens) =>
+      token.type === 'word' &&
+      NON_DETERMINISTIC_FUNCTIONS.has(token.value.toUpperCase()) &&
+      !(tokens[index - 1]?.type === 'symbol' && tokens[index - 1].value === '.')
+  );
+}
+
+function buildCacheKey(normalizedSql, snapshot, variant = '') {
+  return crypto
+    .createHash('sha256')
+    .update(`${normalizedSql}\n${snapshot}\n${variant}`)
+    .digest('hex');
+}
+
+// In-memory LRU of query results with an optional JSON file backing. Only
+// entries marked persistable are written to disk.
+class QueryResultCache {
+  constructor({ maxEntries = 200, ttlSeconds = 3600, filePath = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlSeconds * 1000;
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this._load();
+  }
+
+  get enabled() {
+    return this.ttlMs > 0 && this.maxEntries > 0;
+  }
+
+  _isExpired(entry) {
+    return Date.parse(entry.expiresAt) <= Date.now();
+  }
+
+  _load() {
+    if (!this.filePath || !this.enabled) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (Array.isArray(parsed?.entries) ? parsed.entries : []).forEach(entry => {
+        if (entry?.key && !this._isExpired(entry)) {
+          this.entries.set(entry.key, entry);
+        }
+      });
+      this._evictOverflow();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('Failed to load query cache file:', error.message);
+      }
+    }
+  }
+
+  _save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const persisted = Array.from(this.entries.values()).filter(entry => entry.persist);
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify({ entries: persisted }), 'utf8');
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.warn('Failed to write query cache file:', error.message);
+    }
+  }
+
+  _evictOverflow() {
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || this._isExpired(entry)) {
+      if (entry) {
+        this.delete(key);
+      }
+      this.misses += 1;
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits += 1;
+    return entry;
+  }
+
+  set(key, value, { sql, snapshot, persist = true } = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const now = Date.now();
+    const entry = {
+      key,
+      sql,
+      snapshot,
+      value,
+      persist,
+      cachedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+      sizeBytes: Buffer.byteLength(JSON.stringify(value))
+    };
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this._evictOverflow();
+    if (persist) {
+      this._save();
+    }
+    return entry;
+  }
+
+  delete(key) {
+    const existed = this.entries.delete(key);
+    if (existed) {
+      this._save();
+    }
+    return existed;
+  }
+
+  clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this._save();
+    return removed;
+  }
+
+  describe() {
+    const entries = Array.from(this.entries.values())
+      .filter(entry => !this._isExpired(entry))
+      .reverse()
+      .map(entry => ({
+        key: entry.key,
+        sql: entry.sql,
+        snapshot: entry.snapshot,
+        cachedAt: entry.cachedAt,
+        expiresAt: entry.expiresAt,
+        rowCount: Array.isArray(entry.value?.rows) ? entry.value.rows.length : 0,
+        sizeBytes: entry.sizeBytes,
+        persisted: !!(this.filePath && entry.persist)
+      }));
+
+    return {
+      enabled: this.enabled,
+      maxEntries: this.maxEntries,
+      ttlSeconds: this.ttlMs / 1000,
+      filePath: this.filePath,
+      hits: this.hits,
+      misses: this.misses,
+      size: entries.length,
+      entries
+    };
+  }
+}
+
+module.exports = {
+  QueryResultCache,
+  buildCacheKey,
+  isCacheableSql,
+  normalizeSql
+};
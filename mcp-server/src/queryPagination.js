@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { SqlGuardError } = require('./sqlGuard');
+
+// Page tokens reference a BigQuery job or a stored query, so they are signed to
+// stop callers from paging through work this server did not run. Tokens expire
+// on restart.
+const pageTokenSecret = crypto.randomBytes(32);
+
+function signPayload(payload) {
+  return crypto.createHmac('sha256', pageTokenSecret).update(payload).digest('base64url');
+}
+
+function encodePageToken(state) {
+  const payload = Buffer.from(JSON.stringify(state)).toString('base64url');
+  return `${payload}.${signPayload(payload)}`;
+}
+
+function decodePageToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  const expected = payload ? signPayload(payload) : '';
+
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new SqlGuardError(
+      'pageToken is invalid or has expired. Re-run the query without a pageToken to start from the first page.',
+      'INVALID_PAGE_TOKEN'
+    );
+  }
+
+  return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+}
+
+function buildPaginationNotice({ offset, rowsReturned, totalRows, nextPageToken }) {
+  if (!nextPageToken && offset === 0) {
+    return null;
+  }
+
+  const range = rowsReturned > 0 ? `rows ${offset + 1}-${offset + rowsReturned}` : 'no rows';
+  const parts = [`Partial result: showing ${range} of ${totalRows}.`];
+  if (nextPageToken) {
+    parts.push('Pass nextPageToken to fetch the next page, or aggregate/filter the query to reduce the row count.');
+  }
+  return parts.join(' ');
+}
+
+// Builds the pagination block shared by every data source. `nextState` is the
+// adapter-specific state needed to resume, or null on the last page.
+function buildPagination({ offset = 0, rowsReturned, totalRows, maxResults, columns, nextState }) {
+  const nextPageToken = nextState
+    ? encodePageToken({ ...nextState, offset: offset + rowsReturned })
+    : null;
+
+  const pagination = {
+    totalRows,
+    offset,
+    rowsReturned,
+    maxResults,
+    columns,
+    truncated: offset > 0 || nextPageToken !== null,
+    nextPageToken
+  };
+  pagination.notice = buildPaginationNotice(pagination);
+
+  return pagination;
+}
+
+module.exports = {
+  buildPagination,
+  decodePageToken,
+  encodePageToken
+};
@@ -0,0 +1,82 @@
+const { SqlGuardError } = require('./sqlGuard');
+
+// Callers tag tool calls with this _meta key and later pass the same tag to
+// cancel_requests. Stateless streamable HTTP gives every request its own
+// server, so MCP's notifications/cancelled never reaches the original handler.
+const CANCELLATION_TAG_META_KEY = 'ftf/cancellationTag';
+
+class RequestCancellationRegistry {
+  constructor() {
+    this.controllers = new Map();
+  }
+
+  // Returns a signal that aborts when either the MCP request is cancelled or
+  // cancel(tag) is called, plus an end() to call once the handler finishes.
+  begin(tag, parentSignal = null) {
+    const controller = new AbortController();
+    const signals = [controller.signal, parentSignal].filter(Boolean);
+    const signal = signals.length > 1 ? AbortSignal.any(signals) : controller.signal;
+
+    if (!tag) {
+      return { signal, end: () => {} };
+    }
+
+    if (!this.controllers.has(tag)) {
+      this.controllers.set(tag, new Set());
+    }
+    this.controllers.get(tag).add(controller);
+
+    return {
+      signal,
+      end: () => {
+        const controllers = this.controllers.get(tag);
+        controllers?.delete(controller);
+        if (controllers?.size === 0) {
+          this.controllers.delete(tag);
+        }
+      }
+    };
+  }
+
+  cancel(tag, reason = 'Cancelled by caller') {
+    const controllers = this.controllers.get(tag);
+    if (!controllers) {
+      return 0;
+    }
+
+    controllers.forEach(controller => controller.abort(reason));
+    this.controllers.delete(tag);
+    return controllers.size;
+  }
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new SqlGuardError('The request was cancelled before it finished.', 'REQUEST_CANCELLED', {}, 499);
+  }
+}
+
+// Cancels a BigQuery job as soon as the signal aborts; returns a function that
+// stops watching once the job has finished.
+function cancelJobOnAbort(job, signal) {
+  if (!signal) {
+    return () => {};
+  }
+
+  const onAbort = () => {
+    job.cancel().catch(error => console.warn(`Failed to cancel BigQuery job ${job.id}:`, error.message));
+  };
+  if (signal.aborted) {
+    onAbort();
+    return () => {};
+  }
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+module.exports = {
+  CANCELLATION_TAG_META_KEY,
+  RequestCancellationRegistry,
+  cancelJobOnAbort,
+  throwIfCancelled
+};
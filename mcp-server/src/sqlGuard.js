@@ -0,0 +1,408 @@
+const READ_ONLY_STATEMENTS = new Set(['SELECT', 'WITH']);
+const FROM_ITEM_TERMINATORS = new Set([
+  'WHERE', 'JOIN', 'LEFT', 'RIGHT', 'INNER', 'FULL', 'CROSS', 'OUTER', 'NATURAL', 'LATERAL', 'ON', 'USING',
+  'GROUP', 'ORDER', 'LIMIT', 'UNION', 'INTERSECT', 'EXCEPT', 'WINDOW', 'QUALIFY', 'HAVING', 'TABLESAMPLE',
+  'FOR', 'PIVOT', 'UNPIVOT', 'WITH', 'SELECT'
+]);
+
+class SqlGuardError extends Error {
+  constructor(message, code, details = {}, status = 400) {
+    super(message);
+    this.name = 'SqlGuardError';
+    this.code = code;
+    this.details = details;
+    this.status = status;
+  }
+}
+
+function readQuoted(sql, start, quote) {
+  const tripleQuote = quote.repeat(3);
+  if (quote !== '`' && sql.startsWith(tripleQuote, start)) {
+    const end = sql.indexOf(tripleQuote, start + 3);
+    return end === -1 ? sql.length : end + 3;
+  }
+
+  let index = start + 1;
+  while (index < sql.length) {
+    const char = sql[index];
+    if (char === '\\') {
+      index += 2;
+      continue;
+    }
+    if (char === quote) {
+      return index + 1;
+    }
+    index += 1;
+  }
+  return sql.length;
+}
+
+// Splits BigQuery SQL into tokens, skipping comments and keeping string
+// literals and backtick identifiers intact so keywords inside them are ignored.
+function tokenizeSql(sql) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < sql.length) {
+    const char = sql[index];
+    const next = sql[index + 1];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if ((char === '-' && next === '-') || char === '#') {
+      const end = sql.indexOf('\n', index);
+      index = end === -1 ? sql.length : end + 1;
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', index + 2);
+      index = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      const end = readQuoted(sql, index, char);
+      tokens.push({ type: 'string', value: sql.slice(index, end), start: index, end });
+      index = end;
+      continue;
+    }
+
+    if (char === '`') {
+      const end = readQuoted(sql, index, char);
+      tokens.push({ type: 'identifier', value: sql.slice(index + 1, end - 1), start: index, end });
+      index = end;
+      continue;
+    }
+
+    const wordMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.slice(index));
+    if (wordMatch) {
+      tokens.push({ type: 'word', value: wordMatch[0], start: index, end: index + wordMatch[0].length });
+      index += wordMatch[0].length;
+      continue;
+    }
+
+    const numberMatch = /^[0-9]+(\.[0-9]*)?([eE][+-]?[0-9]+)?/.exec(sql.slice(index));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: numberMatch[0], start: index, end: index + numberMatch[0].length });
+      index += numberMatch[0].length;
+      continue;
+    }
+
+    tokens.push({ type: 'symbol', value: char, start: index, end: index + 1 });
+    index += 1;
+  }
+
+  return tokens;
+}
+
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+
+  for (const token of tokens) {
+    if (token.type === 'symbol' && token.value === ';') {
+      if (current.length > 0) {
+        statements.push(current);
+      }
+      current = [];
+      continue;
+    }
+    current.push(token);
+  }
+
+  if (current.length > 0) {
+    statements.push(current);
+  }
+
+  return statements;
+}
+
+function classifyStatement(tokens) {
+  const leadingWord = tokens.find(token => token.type !== 'symbol' || token.value !== '(');
+  if (!leadingWord || leadingWord.type !== 'word') {
+    return 'UNKNOWN';
+  }
+  return leadingWord.value.toUpperCase();
+}
+
+function classifySql(sql) {
+  const statements = splitStatements(tokenizeSql(sql || ''));
+  return statements.map(tokens => ({
+    type: classifyStatement(tokens),
+    tokens
+  }));
+}
+
+function isSymbol(token, value) {
+  return token?.type === 'symbol' && token.value === value;
+}
+
+function isWord(token, value) {
+  return token?.type === 'word' && token.value.toUpperCase() === value;
+}
+
+// Reads a possibly dotted table path such as nextwave.trend_scores,
+// `project.dataset.table` or my-project.dataset.table starting at `start`.
+function readTablePath(tokens, start) {
+  const parts = [];
+  let index = start;
+
+  while (index < tokens.length) {
+    const token = tokens[index];
+    if (token.type === 'identifier') {
+      parts.push(...token.value.split('.'));
+    } else if (token.type === 'word') {
+      let segment = token.value;
+      while (isSymbol(tokens[index + 1], '-') && ['word', 'number'].includes(tokens[index + 2]?.type)) {
+        segment += `-${tokens[index + 2].value}`;
+        index += 2;
+      }
+      parts.push(segment);
+    } else {
+      break;
+    }
+
+    index += 1;
+    if (!isSymbol(tokens[index], '.') || !['word', 'identifier'].includes(tokens[index + 1]?.type)) {
+      break;
+    }
+    index += 1;
+  }
+
+  return { parts, end: index };
+}
+
+// Keywords that end a FROM clause; commas after them are no longer FROM items.
+const FROM_CLAUSE_TERMINATORS = new Set([
+  'WHERE', 'GROUP', 'HAVING', 'QUALIFY', 'WINDOW', 'ORDER', 'LIMIT', 'UNION', 'INTERSECT', 'EXCEPT', 'SELECT'
+]);
+
+function findOpeningParen(tokens, index) {
+  let depth = 0;
+  for (let candidate = index - 1; candidate >= 0; candidate -= 1) {
+    if (isSymbol(tokens[candidate], ')')) {
+      depth += 1;
+    } else if (isSymbol(tokens[candidate], '(')) {
+      if (depth === 0) {
+        return candidate;
+      }
+      depth -= 1;
+    }
+  }
+  return -1;
+}
+
+function findClosingParen(tokens, openIndex) {
+  let depth = 0;
+  for (let index = openIndex; index < tokens.length; index += 1) {
+    if (isSymbol(tokens[index], '(')) {
+      depth += 1;
+    } else if (isSymbol(tokens[index], ')')) {
+      depth -= 1;
+      if (depth === 0) {
+        return index;
+      }
+    }
+  }
+  return tokens.length - 1;
+}
+
+// Collects every table named in FROM and JOIN clauses, including those inside
+// CTE bodies and subqueries. CTE names are excluded, and so are correlated
+// paths (alias.array_column) whose alias is declared earlier in the same query
+// block or an enclosing one. A FROM item that is not a table path, a subquery
+// or UNNEST(...) is rejected.
+function extractTableReferences(tokens) {
+  const references = [];
+  const aliasDeclarations = [];
+  const cteNames = new Set();
+  const joinParens = new Set();
+  const rootScope = { parent: null };
+  const frames = [{ parentScope: null, scope: rootScope, inFrom: false }];
+  const currentFrame = () => frames[frames.length - 1];
+
+  const readAlias = (index, scope) => {
+    if (isWord(tokens[index], 'AS') && tokens[index + 1]) {
+      aliasDeclarations.push({ name: tokens[index + 1].value, index: index + 1, scope });
+      return index + 2;
+    }
+    if (
+      tokens[index]?.type === 'identifier' ||
+      (tokens[index]?.type === 'word' && !FROM_ITEM_TERMINATORS.has(tokens[index].value.toUpperCase()))
+    ) {
+      aliasDeclarations.push({ name: tokens[index].value, index, scope });
+      return index + 1;
+    }
+    return index;
+  };
+
+  const readFromItem = (start, scope) => {
+    const first = tokens[start];
+    if (!first) {
+      return;
+    }
+
+    if (isSymbol(first, '(')) {
+      const next = tokens[start + 1];
+      if (!isWord(next, 'SELECT') && !isWord(next, 'WITH') && !isSymbol(next, '(')) {
+        // A parenthesized join such as FROM (a JOIN b): read its first item
+        // here; the rest are commas and JOINs inside the parentheses.
+        joinParens.add(start);
+        readFromItem(start + 1, scope);
+      }
+      readAlias(findClosingParen(tokens, start) + 1, scope);
+      return;
+    }
+
+    if (isWord(first, 'UNNEST') && isSymbol(tokens[start + 1], '(')) {
+      readAlias(findClosingParen(tokens, start + 1) + 1, scope);
+      return;
+    }
+
+    const { parts, end } = first.type === 'word' || first.type === 'identifier'
+      ? readTablePath(tokens, start)
+      : { parts: [], end: start };
+    if (parts.length === 0) {
+      throw new SqlGuardError(
+        `Unsupported FROM item "${first.value}". Read from dataset.table names, subqueries or UNNEST(...) only.`,
+        'FROM_ITEM_NOT_ALLOWED',
+        { fromItem: first.value }
+      );
+    }
+
+    const isFunction = isSymbol(tokens[end], '(');
+    references.push({ parts, isFunction, start: first.start, end: tokens[end - 1].end, index: start, scope });
+    if (!isFunction) {
+      readAlias(end, scope);
+    }
+  };
+
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const frame = currentFrame();
+
+    if (isSymbol(token, '(')) {
+      frames.push({ parentScope: frame.scope, scope: frame.scope, inFrom: joinParens.has(index) });
+      return;
+    }
+
+    if (isSymbol(token, ')')) {
+      if (frames.length > 1) {
+        frames.pop();
+      }
+      return;
+    }
+
+    if (isSymbol(token, ',')) {
+      if (frame.inFrom) {
+        readFromItem(index + 1, frame.scope);
+      }
+      return;
+    }
+
+    if (token.type !== 'word') {
+      return;
+    }
+
+    const keyword = token.value.toUpperCase();
+
+    if (FROM_CLAUSE_TERMINATORS.has(keyword)) {
+      frame.inFrom = false;
+    }
+
+    // Every SELECT starts its own query block; aliases from a sibling block
+    // (another CTE, the other side of a UNION) are not visible in it.
+    if (keyword === 'SELECT') {
+      frame.scope = { parent: frame.parentScope };
+      return;
+    }
+
+    if (
+      keyword === 'AS' &&
+      isSymbol(tokens[index + 1], '(') &&
+      (isWord(tokens[index - 2], 'WITH') || isWord(tokens[index - 2], 'RECURSIVE') || isSymbol(tokens[index - 2], ','))
+    ) {
+      cteNames.add(previous.value);
+      return;
+    }
+
+    if (keyword === 'JOIN') {
+      readFromItem(index + 1, frame.scope);
+      return;
+    }
+
+    if (keyword === 'FROM') {
+      const insideExtract = frames.length > 1 && isWord(tokens[findOpeningParen(tokens, index) - 1], 'EXTRACT');
+      const isDistinctFrom = isWord(previous, 'DISTINCT') &&
+        (isWord(tokens[index - 2], 'IS') || isWord(tokens[index - 2], 'NOT'));
+      if (!insideExtract && !isDistinctFrom) {
+        frame.inFrom = true;
+        readFromItem(index + 1, frame.scope);
+      }
+    }
+  });
+
+  const isVisibleAlias = (name, reference) => aliasDeclarations.some(declaration => {
+    if (declaration.name !== name || declaration.index >= reference.index) {
+      return false;
+    }
+    for (let scope = reference.scope; scope; scope = scope.parent) {
+      if (scope === declaration.scope) {
+        return true;
+      }
+    }
+    return false;
+  });
+
+  return references
+    .filter(reference => {
+      const { parts } = reference;
+      if (parts.length === 1) {
+        return !cteNames.has(parts[0]);
+      }
+      return !isVisibleAlias(parts[0], reference);
+    })
+    .map(({ parts, isFunction, start, end }) => ({ parts, isFunction, start, end }));
+}
+
+function assertReadOnlyQuery(sql) {
+  const statements = classifySql(sql);
+
+  if (statements.length === 0) {
+    throw new SqlGuardError('Query is empty. Provide a single SELECT or WITH statement.', 'EMPTY_QUERY');
+  }
+
+  if (statements.length > 1) {
+    throw new SqlGuardError(
+      `Only one SQL statement is allowed per query, but ${statements.length} were provided. ` +
+        'Remove the extra statements and resend a single SELECT or WITH query.',
+      'MULTIPLE_STATEMENTS',
+      { statementTypes: statements.map(statement => statement.type) }
+    );
+  }
+
+  const [{ type, tokens }] = statements;
+  if (!READ_ONLY_STATEMENTS.has(type)) {
+    throw new SqlGuardError(
+      `Only read-only SELECT or WITH queries are allowed, but a ${type} statement was provided. ` +
+        'Rewrite the request as a SELECT query; data and schema changes are not permitted.',
+      'STATEMENT_NOT_ALLOWED',
+      { statementType: type }
+    );
+  }
+
+  return { type, tokens };
+}
+
+module.exports = {
+  SqlGuardError,
+  assertReadOnlyQuery,
+  classifySql,
+  extractTableReferences,
+  findClosingParen,
+  tokenizeSql
+};
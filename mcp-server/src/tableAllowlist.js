@@ -0,0 +1,90 @@
+const { SqlGuardError, extractTableReferences } = require('./sqlGuard');
+
+const ALLOWED_TABLE_FUNCTIONS = new Set(['UNNEST']);
+const ALLOWLIST_HINT = 'Use the table listing tool to see which tables are approved.';
+
+// Builds the approved dataset.table set from query_to_table_mapping_for_mcp.json.
+// Entries under `allowed_table_overrides` extend the mapped tables; a table of
+// "*" approves every table in that dataset.
+function buildTableAllowlist(mcpConfig) {
+  const mappedTables = (mcpConfig?.query_mappings || []).flatMap(mapping => mapping.tables || []);
+  const overrides = Array.isArray(mcpConfig?.allowed_table_overrides) ? mcpConfig.allowed_table_overrides : [];
+  const tables = new Set();
+  const datasets = new Set();
+
+  [...mappedTables, ...overrides].forEach(entry => {
+    if (!entry?.dataset || !entry?.table) {
+      return;
+    }
+    if (entry.table === '*') {
+      datasets.add(entry.dataset);
+    } else {
+      tables.add(`${entry.dataset}.${entry.table}`);
+    }
+  });
+
+  return { tables, datasets };
+}
+
+function isTableAllowed(allowlist, dataset, table) {
+  return allowlist.datasets.has(dataset) || allowlist.tables.has(`${dataset}.${table}`);
+}
+
+function assertTableAllowed(allowlist, dataset, table) {
+  if (!isTableAllowed(allowlist, dataset, table)) {
+    throw new SqlGuardError(
+      `Table ${dataset}.${table} is not in the approved table catalog. ${ALLOWLIST_HINT}`,
+      'TABLE_NOT_ALLOWED',
+      { disallowedTables: [`${dataset}.${table}`] },
+      403
+    );
+  }
+}
+
+function assertQueryTablesAllowed(allowlist, tokens, projectId) {
+  const violations = [];
+
+  extractTableReferences(tokens).forEach(({ parts, isFunction }) => {
+    const name = parts.join('.');
+
+    if (isFunction) {
+      if (!ALLOWED_TABLE_FUNCTIONS.has(name.toUpperCase())) {
+        violations.push(`${name}()`);
+      }
+      return;
+    }
+
+    if (parts.length === 1) {
+      violations.push(`${name} (qualify it as dataset.table)`);
+      return;
+    }
+
+    if (parts.length > 3) {
+      violations.push(name);
+      return;
+    }
+
+    const [table, dataset, project] = parts.slice().reverse();
+    if ((project && projectId && project !== projectId) || !isTableAllowed(allowlist, dataset, table)) {
+      violations.push(name);
+    }
+  });
+
+  if (violations.length > 0) {
+    const uniqueViolations = Array.from(new Set(violations));
+    throw new SqlGuardError(
+      `Query references tables outside the approved table catalog: ${uniqueViolations.join(', ')}. ` +
+        ALLOWLIST_HINT,
+      'TABLE_NOT_ALLOWED',
+      { disallowedTables: uniqueViolations },
+      403
+    );
+  }
+}
+
+module.exports = {
+  assertQueryTablesAllowed,
+  assertTableAllowed,
+  buildTableAllowlist,
+  isTableAllowed
+};
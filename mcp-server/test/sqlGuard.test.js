@@ -0,0 +1,111 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { SqlGuardError, assertReadOnlyQuery, classifySql, tokenizeSql } = require('../src/sqlGuard');
+
+function assertRejected(sql, code) {
+  assert.throws(
+    () => assertReadOnlyQuery(sql),
+    error => error instanceof SqlGuardError && error.code === code
+  );
+}
+
+describe('tokenizeSql', () => {
+  it('drops comments and keeps strings and backtick identifiers whole', () => {
+    const tokens = tokenizeSql(
+      "SELECT 'a; DROP TABLE x' AS s -- ; DELETE\n, `my-project.sales.orders` # ; UPDATE\n/* ; INSERT */ FROM t"
+    );
+    assert.deepEqual(
+      tokens.map(({ type, value }) => [type, value]),
+      [
+        ['word', 'SELECT'],
+        ['string', "'a; DROP TABLE x'"],
+        ['word', 'AS'],
+        ['word', 's'],
+        ['symbol', ','],
+        ['identifier', 'my-project.sales.orders'],
+        ['word', 'FROM'],
+        ['word', 't']
+      ]
+    );
+  });
+
+  it('reads escaped quotes and triple-quoted strings as one token', () => {
+    const values = tokenizeSql("SELECT 'it\\'s', \"\"\"a \"quoted\" ; b\"\"\"").map(token => token.value);
+    assert.deepEqual(values, ['SELECT', "'it\\'s'", ',', '"""a "quoted" ; b"""']);
+  });
+});
+
+describe('classifySql', () => {
+  it('splits statements on semicolons outside strings and comments', () => {
+    const statements = classifySql("SELECT ';'; -- ; x\nDELETE FROM t WHERE a = 1;");
+    assert.deepEqual(statements.map(statement => statement.type), ['SELECT', 'DELETE']);
+  });
+
+  it('classifies a parenthesized query by its first keyword', () => {
+    assert.deepEqual(classifySql('(SELECT 1) UNION ALL (SELECT 2)').map(statement => statement.type), ['SELECT']);
+  });
+});
+
+describe('assertReadOnlyQuery', () => {
+  it('accepts SELECT and WITH queries', () => {
+    assert.equal(assertReadOnlyQuery('SELECT * FROM nextwave.trend_scores').type, 'SELECT');
+    assert.equal(assertReadOnlyQuery('with a as (select 1) select * from a').type, 'WITH');
+  });
+
+  it('accepts a single trailing semicolon', () => {
+    assert.equal(assertReadOnlyQuery('SELECT 1;').type, 'SELECT');
+    assert.equal(assertReadOnlyQuery('SELECT 1 ;  -- done\n').type, 'SELECT');
+  });
+
+  it('ignores keywords inside comments and strings', () => {
+    assert.equal(assertReadOnlyQuery("/* DELETE FROM t; */ SELECT 'DROP TABLE t; INSERT' AS note").type, 'SELECT');
+    assert.equal(assertReadOnlyQuery('-- UPDATE t SET a = 1;\nSELECT 1').type, 'SELECT');
+    assert.equal(assertReadOnlyQuery('# TRUNCATE TABLE t;\nSELECT 1').type, 'SELECT');
+  });
+
+  it('treats backtick identifiers as names, not keywords', () => {
+    assert.equal(assertReadOnlyQuery('SELECT `delete`, `drop;table` FROM `proj.ds.insert`').type, 'SELECT');
+  });
+
+  it('rejects DML statements', () => {
+    assertRejected('INSERT INTO ds.t (a) VALUES (1)', 'STATEMENT_NOT_ALLOWED');
+    assertRejected('UPDATE ds.t SET a = 1 WHERE TRUE', 'STATEMENT_NOT_ALLOWED');
+    assertRejected('DELETE FROM ds.t WHERE TRUE', 'STATEMENT_NOT_ALLOWED');
+    assertRejected('MERGE ds.t USING ds.s ON FALSE WHEN NOT MATCHED THEN INSERT ROW', 'STATEMENT_NOT_ALLOWED');
+    assertRejected('TRUNCATE TABLE ds.t', 'STATEMENT_NOT_ALLOWED');
+  });
+
+  it('rejects DDL statements', () => {
+    assertRejected('CREATE TABLE ds.t AS SELECT 1 AS a', 'STATEMENT_NOT_ALLOWED');
+    assertRejected('DROP TABLE ds.t', 'STATEMENT_NOT_ALLOWED');
+    assertRejected('ALTER TABLE ds.t ADD COLUMN b INT64', 'STATEMENT_NOT_ALLOWED');
+    assertRejected('CREATE OR REPLACE MODEL ds.m OPTIONS(model_type="ARIMA_PLUS") AS SELECT 1', 'STATEMENT_NOT_ALLOWED');
+  });
+
+  it('rejects CALL, EXPORT and scripting statements', () => {
+    assertRejected("CALL ds.proc('x')", 'STATEMENT_NOT_ALLOWED');
+    assertRejected("EXPORT DATA OPTIONS(uri='gs://b/*.csv', format='CSV') AS SELECT 1", 'STATEMENT_NOT_ALLOWED');
+    assertRejected('DECLARE x INT64 DEFAULT 1', 'STATEMENT_NOT_ALLOWED');
+    assertRejected("EXECUTE IMMEDIATE 'DROP TABLE ds.t'", 'STATEMENT_NOT_ALLOWED');
+  });
+
+  it('rejects semicolon-chained statements', () => {
+    assertRejected('SELECT 1; DROP TABLE ds.t', 'MULTIPLE_STATEMENTS');
+    assertRejected('SELECT 1; SELECT 2', 'MULTIPLE_STATEMENTS');
+    assertRejected("SELECT ';'; DELETE FROM ds.t WHERE TRUE;", 'MULTIPLE_STATEMENTS');
+  });
+
+  it('reports the statement types it found', () => {
+    try {
+      assertReadOnlyQuery('SELECT 1; UPDATE ds.t SET a = 1 WHERE TRUE');
+      assert.fail('expected the query to be rejected');
+    } catch (error) {
+      assert.deepEqual(error.details, { statementTypes: ['SELECT', 'UPDATE'] });
+    }
+  });
+
+  it('rejects empty queries', () => {
+    assertRejected('', 'EMPTY_QUERY');
+    assertRejected(' ; -- nothing\n', 'EMPTY_QUERY');
+  });
+});
@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { SqlGuardError, assertReadOnlyQuery } = require('../src/sqlGuard');
+const { assertQueryTablesAllowed, buildTableAllowlist } = require('../src/tableAllowlist');
+
+const PROJECT_ID = 'proj';
+const allowlist = buildTableAllowlist({
+  query_mappings: [
+    {
+      query_type: 'trend_analysis',
+      tables: [
+        { dataset: 'nextwave', table: 'trend_scores' },
+        { dataset: 'nextwave', table: 'sales' }
+      ]
+    }
+  ],
+  allowed_table_overrides: [{ dataset: 'lookups', table: '*' }]
+});
+
+function checkQuery(sql) {
+  const { tokens } = assertReadOnlyQuery(sql);
+  assertQueryTablesAllowed(allowlist, tokens, PROJECT_ID);
+}
+
+function assertAllowed(sql) {
+  assert.doesNotThrow(() => checkQuery(sql), sql);
+}
+
+// `disallowed` is the table the query must be refused for.
+function assertBlocked(sql, disallowed) {
+  assert.throws(
+    () => checkQuery(sql),
+    error =>
+      error instanceof SqlGuardError &&
+      ['TABLE_NOT_ALLOWED', 'FROM_ITEM_NOT_ALLOWED'].includes(error.code) &&
+      (!disallowed || JSON.stringify(error.details).includes(disallowed)),
+    sql
+  );
+}
+
+describe('assertQueryTablesAllowed', () => {
+  it('accepts approved tables, wildcard datasets and joins', () => {
+    assertAllowed('SELECT * FROM nextwave.trend_scores');
+    assertAllowed('SELECT * FROM lookups.any_table');
+    assertAllowed('SELECT * FROM `proj.nextwave.sales` JOIN nextwave.trend_scores USING (id, day)');
+    assertAllowed('SELECT * FROM (nextwave.sales JOIN nextwave.trend_scores USING (id))');
+  });
+
+  it('rejects unapproved and unqualified tables', () => {
+    assertBlocked('SELECT * FROM private.secret', 'private.secret');
+    assertBlocked('SELECT * FROM secret', 'secret');
+    assertBlocked('SELECT * FROM nextwave.sales JOIN private.secret USING (id)', 'private.secret');
+  });
+
+  it('checks every comma-joined FROM item', () => {
+    assertBlocked('SELECT * FROM nextwave.sales, private.secret', 'private.secret');
+    assertBlocked('SELECT * FROM (SELECT 1 AS a), private.secret', 'private.secret');
+    assertBlocked('SELECT * FROM UNNEST([1]) AS u, private.secret', 'private.secret');
+    assertBlocked('SELECT * FROM UNNEST([1]) AS u WITH OFFSET AS o, private.secret', 'private.secret');
+    assertBlocked('SELECT * FROM nextwave.sales s TABLESAMPLE SYSTEM (10 PERCENT), private.secret', 'private.secret');
+    assertBlocked('SELECT * FROM (private.secret CROSS JOIN nextwave.sales)', 'private.secret');
+  });
+
+  it('allows correlated UNNEST and array paths on declared aliases', () => {
+    assertAllowed('SELECT * FROM nextwave.sales s, s.items AS item');
+    assertAllowed('SELECT * FROM nextwave.sales s, UNNEST(s.items) AS i WITH OFFSET AS o, nextwave.trend_scores t');
+    assertAllowed('SELECT * FROM (SELECT * FROM nextwave.sales) AS sub, sub.items');
+  });
+
+  it('checks subqueries in SELECT, WHERE and ARRAY()', () => {
+    assertBlocked('SELECT (SELECT MAX(x) FROM private.secret) FROM nextwave.sales', 'private.secret');
+    assertBlocked('SELECT * FROM nextwave.sales WHERE id IN (SELECT id FROM private.secret)', 'private.secret');
+    assertBlocked('SELECT * FROM nextwave.sales WHERE EXISTS (SELECT 1 FROM private.secret)', 'private.secret');
+    assertBlocked('SELECT ARRAY(SELECT x FROM private.secret) FROM nextwave.sales', 'private.secret');
+    assertAllowed('SELECT ARRAY(SELECT x FROM UNNEST(s.items) x) FROM nextwave.sales s');
+    assertAllowed('SELECT * FROM nextwave.sales s WHERE EXISTS (SELECT 1 FROM s.items)');
+  });
+
+  it('does not let CTE names or aliases shadow unapproved tables', () => {
+    assertAllowed('WITH a AS (SELECT * FROM nextwave.sales), b AS (SELECT * FROM a) SELECT * FROM a JOIN b ON a.id = b.id');
+    assertBlocked('WITH a AS (SELECT * FROM private.secret) SELECT * FROM a', 'private.secret');
+    assertBlocked('WITH private AS (SELECT 1) SELECT * FROM private.secret', 'private.secret');
+    assertBlocked(
+      'WITH a AS (SELECT 1 FROM nextwave.trend_scores private) SELECT * FROM private.secret',
+      'private.secret'
+    );
+    assertBlocked('SELECT * FROM (SELECT * FROM s.secret) s', 's.secret');
+    assertBlocked('SELECT * FROM private.secret AS nextwave', 'private.secret');
+  });
+
+  it('checks every branch of a UNION', () => {
+    assertAllowed('SELECT id FROM nextwave.sales UNION ALL SELECT id FROM nextwave.trend_scores');
+    assertBlocked('SELECT * FROM nextwave.sales UNION ALL SELECT * FROM private.secret', 'private.secret');
+    assertBlocked('(SELECT 1 FROM nextwave.sales) UNION DISTINCT (SELECT 1 FROM private.secret)', 'private.secret');
+  });
+
+  it('rejects INFORMATION_SCHEMA and region-qualified names', () => {
+    assertBlocked('SELECT * FROM INFORMATION_SCHEMA.TABLES', 'INFORMATION_SCHEMA.TABLES');
+    assertBlocked('SELECT * FROM nextwave.INFORMATION_SCHEMA.TABLES', 'nextwave.INFORMATION_SCHEMA.TABLES');
+    assertBlocked('SELECT * FROM region-us.INFORMATION_SCHEMA.JOBS', 'region-us.INFORMATION_SCHEMA.JOBS');
+    assertBlocked('SELECT * FROM `region-us`.INFORMATION_SCHEMA.JOBS', 'region-us.INFORMATION_SCHEMA.JOBS');
+    assertBlocked(
+      'SELECT * FROM `proj.region-us.INFORMATION_SCHEMA.JOBS_BY_PROJECT`',
+      'proj.region-us.INFORMATION_SCHEMA.JOBS_BY_PROJECT'
+    );
+  });
+
+  it('rejects EXTERNAL_QUERY and other table functions', () => {
+    assertBlocked("SELECT * FROM EXTERNAL_QUERY('proj.us.conn', 'SELECT * FROM users')", 'EXTERNAL_QUERY()');
+    assertBlocked('SELECT * FROM nextwave.sales JOIN ML.PREDICT(MODEL ds.m, TABLE nextwave.sales) USING (id)');
+    assertBlocked("SELECT * FROM APPENDS(TABLE private.secret, NULL, NULL)");
+    assertBlocked("SELECT * FROM read_text('/etc/passwd')", 'read_text()');
+    assertBlocked("SELECT * FROM '/etc/passwd'");
+  });
+
+  it('only accepts project-qualified names in the configured project', () => {
+    assertAllowed('SELECT * FROM proj.nextwave.sales');
+    assertAllowed('SELECT * FROM `proj`.nextwave.sales');
+    assertBlocked('SELECT * FROM other.nextwave.sales', 'other.nextwave.sales');
+    assertBlocked('SELECT * FROM `other-project.nextwave.sales`', 'other-project.nextwave.sales');
+    assertBlocked('SELECT * FROM other-project.nextwave.sales', 'other-project.nextwave.sales');
+    assertBlocked('SELECT * FROM `a.proj.nextwave.sales`', 'a.proj.nextwave.sales');
+  });
+});